@@ -16,12 +16,47 @@ import ResultsTable from "../ResultsTable";
 
 import "./App.css";
 
+const API_URL = "http://127.0.0.1:8000";
+
+// Resolve with the job result once the server streams a terminal event
+const waitForJob = (job, onProgress) =>
+  new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_URL}${job.events_url}`);
+    const close = (fn) => (event) => {
+      source.close();
+      fn(JSON.parse(event.data));
+    };
+
+    source.addEventListener("progress", (event) =>
+      onProgress(JSON.parse(event.data))
+    );
+    source.addEventListener(
+      "completed",
+      close((data) => resolve(data.result))
+    );
+    source.addEventListener(
+      "failed",
+      close((data) => reject(new Error(data.error)))
+    );
+    source.addEventListener(
+      "cancelled",
+      close(() => reject(new Error("Analysis cancelled")))
+    );
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error("Lost connection to the analysis server"));
+      }
+    };
+  });
+
 const STBGFrontend = () => {
   const [files, setFiles] = useState({});
   const [processing, setProcessing] = useState(false);
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
   const [step, setStep] = useState("upload"); // upload, processing, results
+  const [jobId, setJobId] = useState(null);
+  const [progress, setProgress] = useState(null);
 
   const requiredFiles = [
     {
@@ -179,12 +214,24 @@ const STBGFrontend = () => {
     formData.append("wet_file", files.wet);
 
     try {
-      const response = await fetch("http://127.0.0.1:8000/analyze", {
+      const response = await fetch(`${API_URL}/jobs`, {
         method: "POST",
         body: formData,
       });
 
-      const results = await response.json();
+      const job = await response.json();
+      if (!response.ok) {
+        throw new Error(job.error || `Server responded ${response.status}`);
+      }
+      setJobId(job.job_id);
+      setProgress(null);
+
+      const results = await waitForJob(job, (update) => {
+        setProgress(update);
+        toast.update("processingToast", {
+          render: `Processing data... ${update.completed}/${update.total} criteria`,
+        });
+      });
       console.log(results);
       setResults(results);
       setStep("results");
@@ -214,6 +261,18 @@ const STBGFrontend = () => {
       });
     } finally {
       setProcessing(false);
+      setJobId(null);
+    }
+  };
+
+  const cancelAnalysis = async () => {
+    if (!jobId) return;
+    try {
+      await fetch(`${API_URL}/jobs/${jobId}`, { method: "DELETE" });
+    } catch (err) {
+      toast.error(`Failed to cancel analysis: ${err.message}`, {
+        position: "top-right",
+      });
     }
   };
 
@@ -514,12 +573,36 @@ const STBGFrontend = () => {
             <p className="text-gray-600 dark:text-gray-300 mb-4">
               Analyzing safety, congestion, and equity metrics...
             </p>
+            {progress && (
+              <div className="max-w-md mx-auto mb-4">
+                <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                  <div
+                    className="bg-blue-600 dark:bg-blue-400 h-2 rounded-full transition-all duration-300"
+                    style={{
+                      width: `${(progress.completed / progress.total) * 100}%`,
+                    }}
+                  ></div>
+                </div>
+                <p className="mt-2 text-sm text-gray-600 dark:text-gray-300">
+                  {progress.completed} of {progress.total} criteria complete
+                  (last: {progress.criterion})
+                </p>
+              </div>
+            )}
             <div className="space-y-2 text-sm text-gray-500 dark:text-gray-400">
               <p>• Calculating crash frequency and severity scores</p>
               <p>• Analyzing traffic demand and congestion levels</p>
               <p>• Evaluating access to jobs and non-work destinations</p>
               <p>• Computing benefit-cost ratios</p>
             </div>
+            <button
+              onClick={cancelAnalysis}
+              disabled={!jobId}
+              className="mt-6 inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600 dark:hover:bg-gray-600"
+            >
+              <X className="w-4 h-4 mr-2" />
+              Cancel Analysis
+            </button>
           </div>
         )}
 
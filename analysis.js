@@ -0,0 +1,1370 @@
+const turf = require("@turf/turf");
+const RBush = require("rbush");
+
+// Buffers are cached per project feature and distance so every analysis in a
+// run shares them. Callers must treat the returned geometry as read-only.
+const bufferCache = new WeakMap();
+
+function createBuffer(feature, distance, units = "meters") {
+  let buffers = bufferCache.get(feature);
+  if (!buffers) {
+    buffers = new Map();
+    bufferCache.set(feature, buffers);
+  }
+
+  const key = `${distance}|${units}`;
+  if (!buffers.has(key)) {
+    try {
+      buffers.set(key, turf.buffer(feature, distance, { units }));
+    } catch (error) {
+      console.error("Error creating buffer:", error);
+      buffers.set(key, feature);
+    }
+  }
+  return buffers.get(key);
+}
+
+// R-tree indexes are built once per layer, keyed by its features array
+const layerIndexes = new WeakMap();
+const centroidIndexes = new WeakMap();
+
+function toIndexEntry(bbox, i, feature) {
+  const [minX, minY, maxX, maxY] = bbox;
+  if (![minX, minY, maxX, maxY].every(Number.isFinite)) return null;
+  return { minX, minY, maxX, maxY, i, feature };
+}
+
+function getLayerIndex(features) {
+  if (!layerIndexes.has(features)) {
+    const entries = features
+      .map((feat, i) => {
+        try {
+          return feat?.geometry ? toIndexEntry(turf.bbox(feat), i, feat) : null;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+    const tree = new RBush();
+    tree.load(entries);
+    layerIndexes.set(features, tree);
+  }
+  return layerIndexes.get(features);
+}
+
+// Features whose bbox overlaps the given bbox, in original layer order
+function searchLayer(features, bbox) {
+  const [minX, minY, maxX, maxY] = bbox;
+  return getLayerIndex(features)
+    .search({ minX, minY, maxX, maxY })
+    .sort((a, b) => a.i - b.i)
+    .map((entry) => entry.feature);
+}
+
+function getFeaturesInBuffer(
+  mainFeature,
+  featuresToCheck,
+  bufferDistance,
+  units = "meters"
+) {
+  try {
+    const buffer = createBuffer(mainFeature, bufferDistance, units);
+    return getIntersecting(buffer, featuresToCheck);
+  } catch (error) {
+    console.error("Error in getFeaturesInBuffer:", error);
+    return [];
+  }
+}
+
+function getIntersecting(buffer, features) {
+  return searchLayer(features, turf.bbox(buffer)).filter((feat) => {
+    try {
+      return turf.booleanIntersects(feat, buffer);
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+// Centroid index: only features that pass validation get an entry
+function getCentroidIndex(features) {
+  if (!centroidIndexes.has(features)) {
+    const entries = features
+      .map((feat, i) => {
+        try {
+          // 1. VALIDATE: layers are repaired on load (geometry.js), so only
+          // a missing geometry is left to skip
+          if (!feat?.geometry) return null;
+
+          // 2. SAFE centroid calculation
+          const centroid = turf.centroid(feat);
+
+          // 3. VALIDATE centroid result
+          if (
+            !centroid ||
+            !centroid.geometry ||
+            !centroid.geometry.coordinates
+          ) {
+            return null;
+          }
+
+          const [x, y] = centroid.geometry.coordinates;
+          const entry = toIndexEntry([x, y, x, y], i, feat);
+          if (entry) entry.centroid = centroid;
+          return entry;
+        } catch (error) {
+          console.log(
+            "⚠️ SKIPPING feature due to centroid error:",
+            error.message
+          );
+          return null;
+        }
+      })
+      .filter(Boolean);
+    const tree = new RBush();
+    tree.load(entries);
+    centroidIndexes.set(features, tree);
+  }
+  return centroidIndexes.get(features);
+}
+
+// ✅ FIXED: Robust getCentroidsWithin with VALIDATION (indexed)
+function getCentroidsWithin(buffer, features) {
+  const [minX, minY, maxX, maxY] = turf.bbox(buffer);
+  return getCentroidIndex(features)
+    .search({ minX, minY, maxX, maxY })
+    .sort((a, b) => a.i - b.i)
+    .filter((entry) => {
+      try {
+        return turf.booleanWithin(entry.centroid, buffer);
+      } catch (error) {
+        console.log(
+          "⚠️ SKIPPING feature due to centroid error:",
+          error.message
+        );
+        return false;
+      }
+    })
+    .map((entry) => entry.feature);
+}
+
+// Identifier reported for a contributing feature in explain output: the
+// first ID-like property, the GeoJSON id, or its position in the layer
+const FEATURE_ID_FIELDS = [
+  "DOCUMENT_NBR",
+  "CRASH_ID",
+  "TAZ_ID",
+  "TAZ",
+  "GEOID",
+  "OBJECTID",
+  "FID",
+  "ID",
+  "id",
+  "name",
+];
+const featurePositions = new WeakMap();
+
+function getFeatureId(feat, features) {
+  const props = feat.properties || {};
+  const field = FEATURE_ID_FIELDS.find((name) => props[name] != null);
+  if (field) return props[field];
+  if (feat.id != null) return feat.id;
+
+  if (!featurePositions.has(features)) {
+    featurePositions.set(features, new Map(features.map((f, i) => [f, i])));
+  }
+  return `#${featurePositions.get(features).get(feat)}`;
+}
+
+// Comprehensive crash costs per injured person by KABCO severity. O (PDO) is
+// costed per crash and is off by default. A crash-year window, when set,
+// filters crashes. EPDO is annualized over the window length when
+// `annualize` is true, or when it is null and a window is set.
+const crashConfig = {
+  costs: { K: 2715000, A: 2715000, B: 300000, C: 170000, O: 0 },
+  fields: {
+    K: "K_PEOPLE",
+    A: "A_PEOPLE",
+    B: "B_PEOPLE",
+    C: "C_PEOPLE",
+    O: "PDO_COUNT",
+  },
+  yearField: "CRASH_YEAR",
+  startYear: null,
+  endYear: null,
+  annualize: null,
+};
+
+const SEVERITIES = ["K", "A", "B", "C", "O"];
+
+// Throws when resolved crash settings could not be applied: every severity
+// needs a non-negative cost and a field name, and years must be ordered
+// integers
+function validateCrashConfig(config) {
+  const { costs, fields, yearField, startYear, endYear } = config;
+  if (!costs || typeof costs !== "object" || Array.isArray(costs)) {
+    throw new Error("crash.costs must be an object keyed by K, A, B, C, O");
+  }
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    throw new Error("crash.fields must be an object keyed by K, A, B, C, O");
+  }
+  SEVERITIES.forEach((sev) => {
+    if (!Number.isFinite(costs[sev]) || costs[sev] < 0) {
+      throw new Error(`crash.costs.${sev} must be a non-negative number`);
+    }
+    if (typeof fields[sev] !== "string" || fields[sev] === "") {
+      throw new Error(`crash.fields.${sev} must be a field name`);
+    }
+  });
+  [...Object.keys(costs), ...Object.keys(fields)].forEach((sev) => {
+    if (!SEVERITIES.includes(sev)) {
+      throw new Error(`crash: unknown severity ${sev}`);
+    }
+  });
+  if (typeof yearField !== "string" || yearField === "") {
+    throw new Error("crash.yearField must be a field name");
+  }
+  [
+    ["startYear", startYear],
+    ["endYear", endYear],
+  ].forEach(([key, year]) => {
+    if (year != null && !Number.isInteger(year)) {
+      throw new Error(`crash.${key} must be an integer year or null`);
+    }
+  });
+  if (startYear != null && endYear != null && startYear > endYear) {
+    throw new Error("crash.startYear must not be after crash.endYear");
+  }
+  if (config.annualize != null && typeof config.annualize !== "boolean") {
+    throw new Error("crash.annualize must be true, false or null");
+  }
+}
+
+// Throws when resolved freight settings could not be applied: sectors are
+// the LEHD columns summed per block, and the buffer needs a positive radius
+function validateFreightConfig(config) {
+  const { sectors, bufferMiles } = config;
+  if (
+    !Array.isArray(sectors) ||
+    sectors.length === 0 ||
+    sectors.some((sector) => typeof sector !== "string" || sector === "")
+  ) {
+    throw new Error("freight.sectors must be a non-empty list of column names");
+  }
+  if (!Number.isFinite(bufferMiles) || bufferMiles <= 0) {
+    throw new Error("freight.bufferMiles must be a positive number");
+  }
+}
+
+// Throws when resolved activity center settings could not be applied:
+// weights and the decay rate are non-negative, the buffer is positive, and
+// a null type or size field means every center gets the default weight or
+// is not scaled
+function validateActivityConfig(config) {
+  const { typeWeights, defaultTypeWeight, decayBeta, bufferMiles } = config;
+  if (
+    !typeWeights ||
+    typeof typeWeights !== "object" ||
+    Array.isArray(typeWeights)
+  ) {
+    throw new Error("activity.typeWeights must be an object keyed by type");
+  }
+  Object.entries(typeWeights).forEach(([type, weight]) => {
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(
+        `activity.typeWeights.${type} must be a non-negative number`
+      );
+    }
+  });
+  if (!Number.isFinite(defaultTypeWeight) || defaultTypeWeight < 0) {
+    throw new Error("activity.defaultTypeWeight must be a non-negative number");
+  }
+  if (!Number.isFinite(decayBeta) || decayBeta < 0) {
+    throw new Error("activity.decayBeta must be a non-negative number");
+  }
+  if (!Number.isFinite(bufferMiles) || bufferMiles <= 0) {
+    throw new Error("activity.bufferMiles must be a positive number");
+  }
+  ["typeField", "sizeField"].forEach((key) => {
+    const field = config[key];
+    if (field !== null && (typeof field !== "string" || field === "")) {
+      throw new Error(`activity.${key} must be a field name or null`);
+    }
+  });
+}
+
+// Throws when resolved environmental settings could not be applied: the
+// footprint needs a positive width, and penalties are non-negative numbers
+// for the overlay layers
+function validateEnvironmentConfig(config) {
+  const { footprintFeet, penalties } = config;
+  if (!Number.isFinite(footprintFeet) || footprintFeet <= 0) {
+    throw new Error("environment.footprintFeet must be a positive number");
+  }
+  const layers = Object.keys(sensitiveFeatureConfig.penalties);
+  if (!penalties || typeof penalties !== "object" || Array.isArray(penalties)) {
+    throw new Error(
+      `environment.penalties must be an object keyed by ${layers.join(", ")}`
+    );
+  }
+  Object.entries(penalties).forEach(([layer, penalty]) => {
+    if (!layers.includes(layer)) {
+      throw new Error(`environment: unknown penalty layer ${layer}`);
+    }
+    if (!Number.isFinite(penalty) || penalty < 0) {
+      throw new Error(
+        `environment.penalties.${layer} must be a non-negative number`
+      );
+    }
+  });
+}
+
+function isAnnualized(config) {
+  return (
+    config.annualize ?? (config.startYear != null || config.endYear != null)
+  );
+}
+
+// Year of a numeric or text value such as 2019, "2019" or "2019-05-01", or
+// null when it has none
+function parseYear(value) {
+  if (typeof value === "number") return Math.trunc(value);
+  const match = String(value ?? "").match(/\b(19|20)\d{2}\b/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function getCrashYear(props, yearField) {
+  return parseYear(props[yearField]);
+}
+
+// Windowed crash lists are memoized per layer so their spatial index is
+// built once and shared by the safety analyses
+const crashWindowCache = new WeakMap();
+
+// Crashes inside the configured year window plus the number of years covered
+function selectCrashWindow(crashesFC, config = crashConfig) {
+  const { startYear, endYear, yearField } = config;
+  const cacheKey = `${yearField}|${startYear}|${endYear}`;
+  let windows = crashWindowCache.get(crashesFC);
+  if (!windows) {
+    windows = new Map();
+    crashWindowCache.set(crashesFC, windows);
+  }
+  if (windows.has(cacheKey)) return windows.get(cacheKey);
+
+  const windowed = startYear != null || endYear != null;
+
+  const crashes = windowed
+    ? crashesFC.features.filter((crash) => {
+        const year = getCrashYear(crash.properties || {}, yearField);
+        if (year == null) return false;
+        if (startYear != null && year < startYear) return false;
+        if (endYear != null && year > endYear) return false;
+        return true;
+      })
+    : crashesFC.features;
+
+  const years = crashes
+    .map((crash) => getCrashYear(crash.properties || {}, yearField))
+    .filter((year) => year != null);
+  const firstYear = startYear ?? (years.length ? Math.min(...years) : null);
+  const lastYear = endYear ?? (years.length ? Math.max(...years) : null);
+  const yearSpan =
+    firstYear != null && lastYear != null
+      ? Math.max(1, lastYear - firstYear + 1)
+      : 1;
+
+  const result = { crashes, firstYear, lastYear, yearSpan };
+  windows.set(cacheKey, result);
+  return result;
+}
+
+// KABCO sums and EPDO cost for a set of crashes, divided by `years`
+function computeCrashEPDO(crashes, years, config = crashConfig) {
+  const { costs, fields } = config;
+  const sums = crashes.reduce(
+    (acc, crash) => {
+      const props = crash.properties || {};
+      const injuries = ["K", "A", "B", "C"].map(
+        (sev) => parseFloat(props[fields[sev]]) || 0
+      );
+      const pdo =
+        props[fields.O] != null
+          ? parseFloat(props[fields.O]) || 0
+          : injuries.every((n) => n === 0)
+          ? 1
+          : 0;
+      return {
+        K: acc.K + injuries[0],
+        A: acc.A + injuries[1],
+        B: acc.B + injuries[2],
+        C: acc.C + injuries[3],
+        O: acc.O + pdo,
+      };
+    },
+    { K: 0, A: 0, B: 0, C: 0, O: 0 }
+  );
+
+  return { sums, EPDO: getEPDO(sums, years, costs) };
+}
+
+// Cost of KABCO sums per year over `years` (1 for the total)
+function getEPDO(sums, years, costs) {
+  const totalCost = Object.keys(sums).reduce(
+    (sum, sev) => sum + sums[sev] * (costs[sev] || 0),
+    0
+  );
+  return totalCost / years;
+}
+
+// Analysis functions
+function analyzeSafetyFrequency(projectsFC, crashesFC, config = crashConfig) {
+  console.log("\n=== SAFETY FREQUENCY ANALYSIS ===");
+
+  const { crashes, yearSpan } = selectCrashWindow(crashesFC, config);
+  const annualized = isAnnualized(config);
+  console.log(`Crashes in window: ${crashes.length}, years: ${yearSpan}`);
+
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      // Create 250 ft buffer around project
+      const buffer = createBuffer(proj, 250, "feet");
+
+      // Find crashes within buffer
+      const crashesInBuffer = getIntersecting(buffer, crashes);
+
+      console.log(
+        `Project ${projectId}: Found ${crashesInBuffer.length} crashes in buffer`
+      );
+
+      // Calculate EPDO, annualized when configured
+      const { sums, EPDO } = computeCrashEPDO(
+        crashesInBuffer,
+        annualized ? yearSpan : 1,
+        config
+      );
+
+      const cmf = parseFloat(proj.properties.cmf) || 0;
+      const benefit = EPDO * (1 - cmf);
+
+      console.log(`Project ${projectId}: EPDO=${EPDO}, benefit=${benefit}`);
+
+      return {
+        project_id: projectId,
+        benefit,
+        explain: {
+          buffer: { distance: 250, units: "feet" },
+          crash_ids: crashesInBuffer.map((crash) =>
+            getFeatureId(crash, crashes)
+          ),
+          kabco: sums,
+          year_span: yearSpan,
+          annualized,
+          epdo: EPDO,
+          cmf,
+        },
+      };
+    } catch (error) {
+      console.error(`Error processing project ${projectId}:`, error);
+      return {
+        project_id: projectId,
+        benefit: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+function analyzeSafetyRate(projectsFC, crashesFC, config = crashConfig) {
+  console.log("\n=== SAFETY RATE ANALYSIS ===");
+
+  const { crashes, yearSpan } = selectCrashWindow(crashesFC, config);
+  const annualized = isAnnualized(config);
+
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      // Get benefit from safety frequency analysis
+      const buffer = createBuffer(proj, 250, "feet");
+      const crashesInBuffer = getIntersecting(buffer, crashes);
+
+      const { sums, EPDO } = computeCrashEPDO(
+        crashesInBuffer,
+        annualized ? yearSpan : 1,
+        config
+      );
+
+      const cmf = parseFloat(proj.properties.cmf) || 0;
+      const benefit = EPDO * (1 - cmf);
+
+      // Calculate annual VMT based on project type
+      const projectType = (proj.properties.type || "highway").toLowerCase();
+      const AADT = parseFloat(proj.properties.AADT) || 0;
+      const length = parseFloat(proj.properties.length) || 1;
+
+      let vmt = 1;
+      if (projectType === "highway") {
+        vmt = (AADT * length * 365) / 100000000;
+      } else if (projectType === "intersection") {
+        vmt = (AADT * 365) / 1000000;
+      }
+
+      const epdoRate = vmt > 0 ? benefit / vmt : 0;
+      console.log(`Project ${projectId}: VMT=${vmt}, epdoRate=${epdoRate}`);
+
+      return {
+        project_id: projectId,
+        epdo_rate: epdoRate,
+        explain: {
+          buffer: { distance: 250, units: "feet" },
+          crash_count: crashesInBuffer.length,
+          kabco: sums,
+          year_span: yearSpan,
+          annualized,
+          cmf,
+          benefit,
+          type: projectType,
+          aadt: AADT,
+          length,
+          vmt,
+        },
+      };
+    } catch (error) {
+      console.error(`Error processing project ${projectId}:`, error);
+      return {
+        project_id: projectId,
+        epdo_rate: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+// Safety values recomputed from a result row's KABCO sums under different
+// crash costs, without repeating the spatial search
+function rescoreSafetyFrequency(row, config = crashConfig) {
+  const { kabco, year_span: yearSpan, annualized, cmf } = row.explain || {};
+  if (!kabco) return row.benefit;
+  // Rows stored before `annualized` was recorded were always annualized
+  const years = annualized === false ? 1 : yearSpan;
+  return getEPDO(kabco, years, config.costs) * (1 - cmf);
+}
+
+function rescoreSafetyRate(row, config = crashConfig) {
+  const { vmt } = row.explain || {};
+  if (!row.explain?.kabco) return row.epdo_rate;
+  return vmt > 0 ? rescoreSafetyFrequency(row, config) / vmt : 0;
+}
+
+function analyzeCongestionDemand(projectsFC, aadtFC) {
+  console.log("\n=== CONGESTION DEMAND ANALYSIS ===");
+
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      // Create 0.25 mile buffer
+      const buffer = createBuffer(proj, 0.25, "miles");
+
+      // Find AADT segments within buffer
+      const intersected = getIntersecting(buffer, aadtFC.features);
+
+      console.log(
+        `Project ${projectId}: Found ${intersected.length} AADT segments`
+      );
+
+      let totalVMT = 0;
+      let totalLength = 0;
+      const segments = [];
+
+      intersected.forEach((seg) => {
+        try {
+          const aadt =
+            parseFloat(seg.properties.aadt_0 || seg.properties.AADT) || 0;
+          const lengthMiles = turf.length(seg, { units: "miles" }) || 0;
+          totalVMT += aadt * lengthMiles;
+          totalLength += lengthMiles;
+          segments.push({
+            id: getFeatureId(seg, aadtFC.features),
+            aadt,
+            length_miles: lengthMiles,
+          });
+        } catch (error) {
+          console.error("Error processing AADT segment:", error);
+        }
+      });
+
+      const waAadt = totalLength > 0 ? totalVMT / totalLength : 0;
+      console.log(`Project ${projectId}: waAadt=${waAadt}`);
+
+      return {
+        project_id: projectId,
+        wa_aadt: waAadt,
+        explain: {
+          buffer: { distance: 0.25, units: "miles" },
+          segments,
+          weighted_aadt: waAadt,
+        },
+      };
+    } catch (error) {
+      console.error(`Error processing project ${projectId}:`, error);
+      return {
+        project_id: projectId,
+        wa_aadt: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+function analyzeCongestionLos(projectsFC, aadtFC) {
+  console.log("\n=== CONGESTION LOS ANALYSIS ===");
+
+  const losMapping = { A: 0, B: 1, C: 2, D: 3, E: 3, F: 3 };
+
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      const buffer = createBuffer(proj, 0.25, "miles");
+      const intersected = getIntersecting(buffer, aadtFC.features);
+
+      const segments = intersected.map((seg) => {
+        const los = (seg.properties.los_0 || "A").toUpperCase();
+        return {
+          id: getFeatureId(seg, aadtFC.features),
+          los,
+          value: losMapping[los] || 0,
+        };
+      });
+      const sumCongValue = segments.reduce((sum, seg) => sum + seg.value, 0);
+
+      console.log(`Project ${projectId}: sum_cong_value=${sumCongValue}`);
+
+      return {
+        project_id: projectId,
+        sum_cong_value: sumCongValue,
+        explain: { buffer: { distance: 0.25, units: "miles" }, segments },
+      };
+    } catch (error) {
+      console.error(`Error processing project ${projectId}:`, error);
+      return {
+        project_id: projectId,
+        sum_cong_value: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+// ✅ FIXED: analyzeEquityAccessJobs
+function analyzeEquityAccessJobs(projectsFC, popempFC) {
+  console.log("\n=== EQUITY ACCESS JOBS ANALYSIS ===");
+
+  const fcDistancesMiles = { PA: 10, MA: 7.5, MC: 5 };
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      const fc = proj.properties.fc || "MC";
+      const bufferDistMiles = fcDistancesMiles[fc] || 5;
+      const buffer = createBuffer(proj, bufferDistMiles, "miles");
+
+      // USE FIXED FUNCTION
+      const selected = getCentroidsWithin(buffer, popempFC.features);
+      console.log(`Project ${projectId}: Found ${selected.length} VALID TAZs`);
+
+      const sumEmp17 = selected.reduce(
+        (sum, taz) => sum + (parseFloat(taz.properties?.emp17) || 0),
+        0
+      );
+      const sumEmp50 = selected.reduce(
+        (sum, taz) => sum + (parseFloat(taz.properties?.emp50) || 0),
+        0
+      );
+
+      const pctChange =
+        sumEmp17 > 0 ? ((sumEmp50 - sumEmp17) / sumEmp17) * 100 : 0;
+      console.log(
+        `Project ${projectId}: emp17=${sumEmp17}, emp50=${sumEmp50}, pct=${pctChange}`
+      );
+
+      return {
+        project_id: projectId,
+        pct_change: pctChange,
+        explain: {
+          buffer: { distance: bufferDistMiles, units: "miles" },
+          tazs: selected.map((taz) => ({
+            id: getFeatureId(taz, popempFC.features),
+            emp17: parseFloat(taz.properties?.emp17) || 0,
+            emp50: parseFloat(taz.properties?.emp50) || 0,
+          })),
+          emp17: sumEmp17,
+          emp50: sumEmp50,
+        },
+      };
+    } catch (error) {
+      console.error(`❌ Project ${projectId} error:`, error.message);
+      return {
+        project_id: projectId,
+        pct_change: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+// Add other analysis functions with similar error handling...
+
+function analyzeEquityAccessJobsEJ(projectsFC, popempFC, ejFC) {
+  console.log("\n=== EQUITY ACCESS JOBS EJ ANALYSIS ===");
+  const fcDistancesMiles = { PA: 10, MA: 7.5, MC: 5 };
+  const ejFeatures = getPolygonFeatures(ejFC);
+  console.log(`EJ polygons: ${ejFeatures.length}`);
+
+  const shareCache = new Map();
+  const ejShare = (taz) => {
+    if (!shareCache.has(taz)) shareCache.set(taz, getEJShare(taz, ejFeatures));
+    return shareCache.get(taz);
+  };
+
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      const fc = proj.properties.fc || "MC";
+      const bufferDistMiles = fcDistancesMiles[fc] || 5;
+      const buffer = createBuffer(proj, bufferDistMiles, "miles");
+
+      // Only TAZs overlapping EJ areas count, weighted by their EJ area share
+      const selected = getCentroidsWithin(buffer, popempFC.features).filter(
+        (taz) => ejShare(taz) > 0
+      );
+      const sumEmp17 = selected.reduce(
+        (sum, taz) =>
+          sum + (parseFloat(taz.properties.emp17) || 0) * ejShare(taz),
+        0
+      );
+      const sumEmp50 = selected.reduce(
+        (sum, taz) =>
+          sum + (parseFloat(taz.properties.emp50) || 0) * ejShare(taz),
+        0
+      );
+
+      const pctChange =
+        sumEmp17 > 0 ? ((sumEmp50 - sumEmp17) / sumEmp17) * 100 : 0;
+      console.log(
+        `Project ${projectId}: ${selected.length} EJ TAZs, emp17=${sumEmp17}, emp50=${sumEmp50}, pct=${pctChange}`
+      );
+
+      return {
+        project_id: projectId,
+        pct_change: pctChange,
+        explain: {
+          buffer: { distance: bufferDistMiles, units: "miles" },
+          tazs: selected.map((taz) => ({
+            id: getFeatureId(taz, popempFC.features),
+            emp17: parseFloat(taz.properties.emp17) || 0,
+            emp50: parseFloat(taz.properties.emp50) || 0,
+            ej_share: ejShare(taz),
+          })),
+          emp17: sumEmp17,
+          emp50: sumEmp50,
+        },
+      };
+    } catch (error) {
+      console.error(`Error processing project ${projectId}:`, error);
+      return {
+        project_id: projectId,
+        pct_change: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+// Negative-exponential distance decay for non-work trips (per mile); destinations
+// beyond maxDistanceMiles contribute nothing
+const nonWorkDecay = { beta: 0.1, maxDistanceMiles: 15 };
+
+// Destination points for the non-work layer (polygons are reduced to
+// centroids), memoized per layer so their index is shared
+const destinationCache = new WeakMap();
+
+function getDestinationPoints(nwFC) {
+  if (destinationCache.has(nwFC)) return destinationCache.get(nwFC);
+  const destinations = nwFC.features
+    .map((feat) => {
+      try {
+        if (!feat || !feat.geometry) return null;
+        return feat.geometry.type === "Point" ? feat : turf.centroid(feat);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  destinationCache.set(nwFC, destinations);
+  return destinations;
+}
+
+// Bounding box around a point that contains every location within `miles`
+function bboxAround(point, miles) {
+  const reach = miles * 1.01;
+  const [, south] = turf.destination(point, reach, 180, { units: "miles" })
+    .geometry.coordinates;
+  const [, north] = turf.destination(point, reach, 0, { units: "miles" })
+    .geometry.coordinates;
+  const [west] = turf.destination(point, reach, -90, { units: "miles" })
+    .geometry.coordinates;
+  const [east] = turf.destination(point, reach, 90, { units: "miles" }).geometry
+    .coordinates;
+  return [west, south, east, north];
+}
+
+// Gravity accessibility of a TAZ: sum of exp(-beta * d) over destinations
+function gravityAccessibility(taz, destinations, decay = nonWorkDecay) {
+  const origin = turf.centroid(taz);
+  const nearby = searchLayer(
+    destinations,
+    bboxAround(origin, decay.maxDistanceMiles)
+  );
+  return nearby.reduce((sum, dest) => {
+    const d = turf.distance(origin, dest, { units: "miles" });
+    if (d > decay.maxDistanceMiles) return sum;
+    return sum + Math.exp(-decay.beta * d);
+  }, 0);
+}
+
+function getTazPopulation(taz) {
+  const props = taz.properties || {};
+  return parseFloat(props.pop17 || props.pop) || 0;
+}
+
+function analyzeAccessNonWork(projectsFC, popempFC, nwFC) {
+  console.log("\n=== ACCESS NON-WORK ANALYSIS ===");
+
+  const fcDistancesMiles = { PA: 10, MA: 7.5, MC: 5 };
+  const destinations = getDestinationPoints(nwFC);
+  console.log(`Non-work destinations: ${destinations.length}`);
+
+  // TAZ accessibility does not depend on the project, so compute it once
+  const accessCache = new Map();
+  const tazAccess = (taz) => {
+    if (!accessCache.has(taz)) {
+      accessCache.set(taz, gravityAccessibility(taz, destinations));
+    }
+    return accessCache.get(taz);
+  };
+
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      const fc = proj.properties.fc || "MC";
+      const bufferDistMiles = fcDistancesMiles[fc] || 5;
+      const buffer = createBuffer(proj, bufferDistMiles, "miles");
+
+      const selected = getCentroidsWithin(buffer, popempFC.features);
+
+      // Population-weighted accessibility of the TAZs served by the project
+      const accessNw = selected.reduce(
+        (sum, taz) => sum + getTazPopulation(taz) * tazAccess(taz),
+        0
+      );
+      console.log(
+        `Project ${projectId}: ${selected.length} TAZs, access_nw=${accessNw}`
+      );
+
+      return {
+        project_id: projectId,
+        access_nw: accessNw,
+        explain: {
+          buffer: { distance: bufferDistMiles, units: "miles" },
+          decay: nonWorkDecay,
+          tazs: selected.map((taz) => ({
+            id: getFeatureId(taz, popempFC.features),
+            population: getTazPopulation(taz),
+            accessibility: tazAccess(taz),
+          })),
+        },
+      };
+    } catch (error) {
+      console.error(`Error processing project ${projectId}:`, error);
+      return {
+        project_id: projectId,
+        access_nw: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+// Polygon features of a layer, memoized so their index is built once
+const polygonCache = new WeakMap();
+
+function getPolygonFeatures(fc) {
+  if (!polygonCache.has(fc)) {
+    polygonCache.set(
+      fc,
+      fc.features.filter((f) =>
+        ["Polygon", "MultiPolygon"].includes(f.geometry?.type)
+      )
+    );
+  }
+  return polygonCache.get(fc);
+}
+
+// Share (0-1) of a TAZ's area that falls inside the EJ (Title VI) polygons
+function getEJShare(taz, ejFeatures) {
+  try {
+    const tazArea = turf.area(taz);
+    if (!tazArea) return 0;
+
+    const overlap = searchLayer(ejFeatures, turf.bbox(taz)).reduce(
+      (sum, ej) => {
+        try {
+          const clipped = turf.intersect(taz, ej);
+          return clipped ? sum + turf.area(clipped) : sum;
+        } catch (error) {
+          return sum;
+        }
+      },
+      0
+    );
+
+    return Math.min(1, overlap / tazArea);
+  } catch (error) {
+    return 0;
+  }
+}
+
+function analyzeAccessNonWorkEJ(projectsFC, popempFC, nwFC, ejFC) {
+  console.log("\n=== ACCESS NON-WORK EJ ANALYSIS ===");
+
+  const fcDistancesMiles = { PA: 10, MA: 7.5, MC: 5 };
+  const destinations = getDestinationPoints(nwFC);
+  const ejFeatures = getPolygonFeatures(ejFC);
+  console.log(`EJ polygons: ${ejFeatures.length}`);
+
+  const accessCache = new Map();
+  const ejPopAccess = (taz) => {
+    if (!accessCache.has(taz)) {
+      const ejPop = getTazPopulation(taz) * getEJShare(taz, ejFeatures);
+      accessCache.set(
+        taz,
+        ejPop > 0 ? ejPop * gravityAccessibility(taz, destinations) : 0
+      );
+    }
+    return accessCache.get(taz);
+  };
+
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      const fc = proj.properties.fc || "MC";
+      const bufferDistMiles = fcDistancesMiles[fc] || 5;
+      const buffer = createBuffer(proj, bufferDistMiles, "miles");
+
+      const selected = getCentroidsWithin(buffer, popempFC.features);
+
+      // Accessibility weighted by the population living in EJ areas
+      const accessNwEj = selected.reduce(
+        (sum, taz) => sum + ejPopAccess(taz),
+        0
+      );
+      console.log(`Project ${projectId}: access_nw_ej=${accessNwEj}`);
+
+      return {
+        project_id: projectId,
+        access_nw_ej: accessNwEj,
+        explain: {
+          buffer: { distance: bufferDistMiles, units: "miles" },
+          decay: nonWorkDecay,
+          tazs: selected
+            .filter((taz) => ejPopAccess(taz) > 0)
+            .map((taz) => ({
+              id: getFeatureId(taz, popempFC.features),
+              ej_population_access: ejPopAccess(taz),
+            })),
+        },
+      };
+    } catch (error) {
+      console.error(`Error processing project ${projectId}:`, error);
+      return {
+        project_id: projectId,
+        access_nw_ej: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+// Footprint buffer and per-acre penalties for the environmental overlay.
+// Linear features are converted to acres using the full footprint width.
+const sensitiveFeatureConfig = {
+  footprintFeet: 100,
+  penalties: { fhz: 1, frsk: 1.5, wet: 2, con: 1.5 },
+};
+
+const SQ_METERS_PER_ACRE = 4046.8564224;
+const SQ_FEET_PER_ACRE = 43560;
+
+// Acres of a layer's polygons and lines that fall inside the footprint buffer
+function getImpactedAcres(buffer, layerFC, footprintFeet) {
+  return searchLayer(layerFC.features, turf.bbox(buffer)).reduce(
+    (acres, feat) => {
+      try {
+        const type = feat.geometry?.type;
+
+        if (type === "Polygon" || type === "MultiPolygon") {
+          const clipped = turf.intersect(buffer, feat);
+          return clipped
+            ? acres + turf.area(clipped) / SQ_METERS_PER_ACRE
+            : acres;
+        }
+
+        if (type === "LineString" || type === "MultiLineString") {
+          const lines = turf.flatten(feat).features;
+          const insideMiles = lines.reduce((miles, line) => {
+            const pieces = turf.lineSplit(line, buffer).features;
+            return (pieces.length ? pieces : [line]).reduce((sum, piece) => {
+              const len = turf.length(piece, { units: "miles" });
+              const mid = turf.along(piece, len / 2, { units: "miles" });
+              return turf.booleanPointInPolygon(mid, buffer) ? sum + len : sum;
+            }, miles);
+          }, 0);
+          return (
+            acres + (insideMiles * 5280 * footprintFeet * 2) / SQ_FEET_PER_ACRE
+          );
+        }
+
+        return acres;
+      } catch (error) {
+        return acres;
+      }
+    },
+    0
+  );
+}
+
+function analyzeSensitiveFeatures(
+  projectsFC,
+  fhzFC,
+  frskFC,
+  wetFC,
+  conFC,
+  config = sensitiveFeatureConfig
+) {
+  console.log("\n=== SENSITIVE FEATURES ANALYSIS ===");
+
+  const layers = { fhz: fhzFC, frsk: frskFC, wet: wetFC, con: conFC };
+
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      const buffer = createBuffer(proj, config.footprintFeet, "feet");
+
+      const acres = {};
+      let impact = 0;
+      Object.entries(layers).forEach(([key, layerFC]) => {
+        acres[key] = getImpactedAcres(buffer, layerFC, config.footprintFeet);
+        impact += acres[key] * (config.penalties[key] || 0);
+      });
+      console.log(
+        `Project ${projectId}: acres=${JSON.stringify(acres)}, impact=${impact}`
+      );
+
+      return {
+        project_id: projectId,
+        acres,
+        impact,
+        explain: {
+          buffer: { distance: config.footprintFeet, units: "feet" },
+          acres,
+          penalties: config.penalties,
+          impact,
+        },
+      };
+    } catch (error) {
+      console.error(`Error processing project ${projectId}:`, error);
+      return {
+        project_id: projectId,
+        acres: { fhz: 0, frsk: 0, wet: 0, con: 0 },
+        impact: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results.map((r) => ({
+    project_id: r.project_id,
+    impact: r.impact,
+    fhz_acres: r.acres.fhz,
+    frsk_acres: r.acres.frsk,
+    wet_acres: r.acres.wet,
+    con_acres: r.acres.con,
+    explain: r.explain,
+  }));
+}
+
+const SQ_METERS_PER_SQ_MILE = 2589988.110336;
+
+// Employment growth (emp50 - emp17) of the TAZs within a functional-class
+// buffer of each project, with growth per square mile reported alongside
+function analyzeJobGrowth(projectsFC, popempFC) {
+  console.log("\n=== JOB GROWTH ANALYSIS ===");
+
+  const fcDistancesMiles = { PA: 10, MA: 7.5, MC: 5 };
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      const fc = proj.properties.fc || "MC";
+      const bufferDistMiles = fcDistancesMiles[fc] || 5;
+      const buffer = createBuffer(proj, bufferDistMiles, "miles");
+
+      const selected = getCentroidsWithin(buffer, popempFC.features);
+
+      const empGrowth = selected.reduce(
+        (sum, taz) =>
+          sum +
+          ((parseFloat(taz.properties?.emp50) || 0) -
+            (parseFloat(taz.properties?.emp17) || 0)),
+        0
+      );
+      const areaSqMi = selected.reduce(
+        (sum, taz) => sum + turf.area(taz) / SQ_METERS_PER_SQ_MILE,
+        0
+      );
+      const growthDensity = areaSqMi > 0 ? empGrowth / areaSqMi : 0;
+      console.log(
+        `Project ${projectId}: ${selected.length} TAZs, emp_growth=${empGrowth}, per_sq_mi=${growthDensity}`
+      );
+
+      return {
+        project_id: projectId,
+        emp_growth: empGrowth,
+        growth_density: growthDensity,
+        explain: {
+          buffer: { distance: bufferDistMiles, units: "miles" },
+          tazs: selected.map((taz) => ({
+            id: getFeatureId(taz, popempFC.features),
+            emp17: parseFloat(taz.properties?.emp17) || 0,
+            emp50: parseFloat(taz.properties?.emp50) || 0,
+          })),
+          emp_growth: empGrowth,
+          area_sq_mi: areaSqMi,
+          growth_density: growthDensity,
+        },
+      };
+    } catch (error) {
+      console.error(`Error processing project ${projectId}:`, error);
+      return {
+        project_id: projectId,
+        emp_growth: 0,
+        growth_density: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+// LEHD WAC columns for freight-dependent sectors: CNS05 manufacturing,
+// CNS06 wholesale trade, CNS08 transportation and warehousing
+const freightConfig = {
+  bufferMiles: 5,
+  sectors: ["CNS05", "CNS06", "CNS08"],
+};
+
+// ✅ FIXED: analyzeFreightJobs (for LEHD file)
+function analyzeFreightJobs(projectsFC, lehdFC, config = freightConfig) {
+  console.log("\n=== FREIGHT JOBS ANALYSIS ===");
+  console.log(`Freight sectors: ${config.sectors.join(", ")}`);
+
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      const buffer = createBuffer(proj, config.bufferMiles, "miles");
+      const selected = getCentroidsWithin(buffer, lehdFC.features);
+
+      const blocks = selected.map((block) => {
+        const props = block.properties || {};
+        return {
+          id: getFeatureId(block, lehdFC.features),
+          jobs: config.sectors.reduce(
+            (jobs, sector) => jobs + (parseFloat(props[sector]) || 0),
+            0
+          ),
+        };
+      });
+      const freightJobs = blocks.reduce((sum, block) => sum + block.jobs, 0);
+
+      console.log(
+        `Project ${projectId}: ${selected.length} LEHD blocks, freight_jobs=${freightJobs}`
+      );
+
+      return {
+        project_id: projectId,
+        freight_jobs: freightJobs,
+        explain: {
+          buffer: { distance: config.bufferMiles, units: "miles" },
+          sectors: config.sectors,
+          blocks,
+        },
+      };
+    } catch (error) {
+      console.error(`❌ Freight ${projectId} error:`, error.message);
+      return {
+        project_id: projectId,
+        freight_jobs: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+// Activity centers are weighted by type, optionally scaled by a size
+// attribute (e.g. employment), and decayed by distance from the project
+const activityCenterConfig = {
+  bufferMiles: 2,
+  typeField: "type",
+  typeWeights: { regional: 3, community: 2, neighborhood: 1 },
+  defaultTypeWeight: 1,
+  sizeField: null,
+  decayBeta: 0.5,
+};
+
+// Distance in miles from a point to the nearest part of a project geometry
+function distanceToProjectMiles(point, proj) {
+  const type = proj.geometry?.type;
+  if (type === "Point") {
+    return turf.distance(point, proj, { units: "miles" });
+  }
+  if (type === "LineString" || type === "MultiLineString") {
+    return Math.min(
+      ...turf
+        .flatten(proj)
+        .features.map((line) =>
+          turf.pointToLineDistance(point, line, { units: "miles" })
+        )
+    );
+  }
+  return turf.distance(point, turf.centroid(proj), { units: "miles" });
+}
+
+function getActivityCenterWeight(center, config) {
+  const props = center.properties || {};
+  const type = String(props[config.typeField] || "").toLowerCase();
+  const typeWeight = config.typeWeights[type] ?? config.defaultTypeWeight;
+  const size = config.sizeField ? parseFloat(props[config.sizeField]) || 0 : 1;
+  return typeWeight * size;
+}
+
+// ✅ FIXED: analyzeActivityCenters
+function analyzeActivityCenters(
+  projectsFC,
+  actvFC,
+  config = activityCenterConfig
+) {
+  console.log("\n=== ACTIVITY CENTERS ANALYSIS ===");
+
+  const results = projectsFC.features.map((proj, i) => {
+    const projectId = proj.properties.project_id || i + 1;
+
+    try {
+      const buffer = createBuffer(proj, config.bufferMiles, "miles");
+      const selected = getCentroidsWithin(buffer, actvFC.features);
+
+      const centers = selected.map((center) => {
+        const d = distanceToProjectMiles(turf.centroid(center), proj);
+        const weight = getActivityCenterWeight(center, config);
+        return {
+          id: getFeatureId(center, actvFC.features),
+          weight,
+          distance_miles: d,
+          contribution: weight * Math.exp(-config.decayBeta * d),
+        };
+      });
+      const actvWeighted = centers.reduce(
+        (sum, center) => sum + center.contribution,
+        0
+      );
+
+      console.log(
+        `Project ${projectId}: actv_count=${selected.length}, actv_weighted=${actvWeighted}`
+      );
+
+      return {
+        project_id: projectId,
+        actv_weighted: actvWeighted,
+        explain: {
+          buffer: { distance: config.bufferMiles, units: "miles" },
+          centers,
+        },
+      };
+    } catch (error) {
+      console.error(`❌ Activity ${projectId} error:`, error.message);
+      return {
+        project_id: projectId,
+        actv_weighted: 0,
+        explain: { error: error.message },
+      };
+    }
+  });
+
+  return results;
+}
+
+module.exports = {
+  crashConfig,
+  sensitiveFeatureConfig,
+  freightConfig,
+  activityCenterConfig,
+  validateCrashConfig,
+  validateFreightConfig,
+  validateActivityConfig,
+  validateEnvironmentConfig,
+  isAnnualized,
+  parseYear,
+  selectCrashWindow,
+  analyzeSafetyFrequency,
+  analyzeSafetyRate,
+  rescoreSafetyFrequency,
+  rescoreSafetyRate,
+  analyzeCongestionDemand,
+  analyzeCongestionLos,
+  analyzeEquityAccessJobs,
+  analyzeEquityAccessJobsEJ,
+  analyzeAccessNonWork,
+  analyzeAccessNonWorkEJ,
+  analyzeSensitiveFeatures,
+  analyzeJobGrowth,
+  analyzeFreightJobs,
+  analyzeActivityCenters,
+};
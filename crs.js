@@ -0,0 +1,168 @@
+const turf = require("@turf/turf");
+const proj4 = require("proj4");
+
+// Source coordinate systems of uploaded layers. A layer's CRS comes from a
+// declaration, its GeoJSON `crs` member or its Shapefile .prj; unmarked
+// layers are taken as longitude/latitude when their coordinates fit, and
+// are otherwise reported as unknown rather than guessed.
+proj4.defs([
+  [
+    "EPSG:2283",
+    "+proj=lcc +lat_0=37.66666666666666 +lon_0=-78.5 +lat_1=39.2 +lat_2=38.03333333333333 +x_0=3500000.0001016 +y_0=2000000.0001016 +datum=NAD83 +units=us-ft +no_defs",
+  ],
+  [
+    "EPSG:2284",
+    "+proj=lcc +lat_0=36.33333333333334 +lon_0=-78.5 +lat_1=37.96666666666667 +lat_2=36.76666666666667 +x_0=3500000.0001016 +y_0=999999.9998983998 +datum=NAD83 +units=us-ft +no_defs",
+  ],
+  [
+    "EPSG:3857",
+    "+proj=merc +a=6378137 +b=6378137 +lat_ts=0.0 +lon_0=0.0 +x_0=0.0 +y_0=0 +k=1.0 +units=m +nadgrids=@null +wktext +no_defs",
+  ],
+]);
+
+// EPSG code from "EPSG:2283", "2283", 2283 or an OGC URN; CRS84 is 4326
+function parseEPSG(value) {
+  if (value == null || value === "") return null;
+  const text = String(value).trim();
+  if (/CRS84$/i.test(text)) return 4326;
+  const match = text.match(/^(?:EPSG:+|urn:ogc:def:crs:EPSG:[\d.]*:)?(\d+)$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function isKnownEPSG(epsg) {
+  return epsg === 4326 || !!proj4.defs(`EPSG:${epsg}`);
+}
+
+function fromEPSG(epsg, source) {
+  return {
+    epsg,
+    source,
+    name: null,
+    def: isKnownEPSG(epsg) ? `EPSG:${epsg}` : null,
+  };
+}
+
+// A first coordinate from each of up to `limit` features
+function sampleCoordinates(features, limit = 50) {
+  const first = (coords) =>
+    Array.isArray(coords?.[0]) ? first(coords[0]) : coords;
+  const firstOfGeometry = (geometry) =>
+    geometry?.type === "GeometryCollection"
+      ? firstOfGeometry(geometry.geometries?.[0])
+      : first(geometry?.coordinates);
+  return features
+    .slice(0, limit)
+    .map((feat) => firstOfGeometry(feat?.geometry))
+    .filter(
+      (coord) =>
+        Array.isArray(coord) &&
+        Number.isFinite(coord[0]) &&
+        Number.isFinite(coord[1])
+    );
+}
+
+// CRS of a Shapefile .prj: its EPSG authority when that is registered, a
+// geographic CRS as 4326, or else the WKT itself for proj4 to apply
+function readPrj(wkt) {
+  const authorities = [...wkt.matchAll(/AUTHORITY\["EPSG",\s*"?(\d+)"?\]/gi)];
+  const authority = authorities.length
+    ? parseInt(authorities[authorities.length - 1][1], 10)
+    : null;
+  if (authority && isKnownEPSG(authority)) return fromEPSG(authority, ".prj");
+  if (/^\s*GEOGCS\[/i.test(wkt)) return fromEPSG(4326, ".prj");
+
+  const name = wkt.match(/^\s*PROJCS\["([^"]*)"/i)?.[1] || null;
+  try {
+    proj4(wkt);
+    return { epsg: authority, source: ".prj", name, def: wkt };
+  } catch (error) {
+    console.warn(`Could not read .prj: ${error.message}`);
+    return { epsg: authority, source: ".prj", name, def: null };
+  }
+}
+
+// Source CRS of a GeoJSON object as { epsg, source, name, def }, where def
+// is what proj4 reprojects from and is null when the CRS is unknown
+function detectCRS(data, declared) {
+  if (declared != null) return fromEPSG(parseEPSG(declared), "declared");
+
+  const named = parseEPSG(data.crs?.properties?.name);
+  if (named) return fromEPSG(named, "crs member");
+
+  if (data.prj) return readPrj(data.prj);
+
+  const samples = sampleCoordinates(data.features || []);
+  const isLonLat = ([x, y]) => x >= -180 && x <= 180 && y >= -90 && y <= 90;
+  if (samples.every(isLonLat)) return fromEPSG(4326, "default");
+  return { epsg: null, source: "unknown", name: null, def: null };
+}
+
+// "EPSG:2283" or the .prj name of a detected CRS
+function describeCRS(crs) {
+  if (crs.epsg) return `EPSG:${crs.epsg}`;
+  return crs.name || "an unnamed CRS";
+}
+
+// Reproject a feature collection, including Multi* geometries and
+// GeometryCollections. `target` and `source` are "EPSG:<code>" names or
+// WKT.
+function toCRS(featureCollection, target, source = "EPSG:4326") {
+  try {
+    const transformCoord = (coord) => {
+      try {
+        return proj4(source, target, coord);
+      } catch (err) {
+        console.error("Coordinate transformation error:", err);
+        return coord;
+      }
+    };
+
+    // Nesting depth of coordinates for each geometry type
+    const depths = {
+      Point: 0,
+      MultiPoint: 1,
+      LineString: 1,
+      MultiLineString: 2,
+      Polygon: 2,
+      MultiPolygon: 3,
+    };
+    const transformCoords = (coords, depth) =>
+      depth === 0
+        ? transformCoord(coords)
+        : coords.map((c) => transformCoords(c, depth - 1));
+
+    const transformGeometry = (geometry) => {
+      if (geometry.type === "GeometryCollection") {
+        return {
+          ...geometry,
+          geometries: geometry.geometries.map(transformGeometry),
+        };
+      }
+      if (!(geometry.type in depths)) return geometry;
+      return {
+        ...geometry,
+        coordinates: transformCoords(
+          geometry.coordinates,
+          depths[geometry.type]
+        ),
+      };
+    };
+
+    const newFeatures = featureCollection.features.map((feat) => {
+      if (!feat.geometry) return feat;
+
+      try {
+        return { ...feat, geometry: transformGeometry(feat.geometry) };
+      } catch (error) {
+        console.error("Error transforming feature geometry:", error);
+        return feat;
+      }
+    });
+    return turf.featureCollection(newFeatures);
+  } catch (error) {
+    console.error("Error in toCRS:", error);
+    return featureCollection;
+  }
+}
+
+module.exports = { parseEPSG, isKnownEPSG, detectCRS, describeCRS, toCRS };
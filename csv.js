@@ -0,0 +1,243 @@
+const fs = require("fs-extra");
+
+// CSV layers. Each row is a feature with a point from latitude/longitude
+// columns or any geometry from a WKT column; the other columns become its
+// properties. Columns are found by the configured name, else by the first
+// of COLUMN_NAMES present (case-insensitive).
+const COLUMN_NAMES = {
+  wkt: ["wkt", "geometry", "geom", "the_geom", "shape"],
+  lat: ["latitude", "lat", "y"],
+  lon: ["longitude", "lon", "lng", "long", "x"],
+};
+const COLUMN_KEYS = Object.keys(COLUMN_NAMES);
+
+// Rows of a CSV document as arrays of strings (RFC 4180 quoting)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Nesting depth of coordinates for each WKT geometry type
+const WKT_DEPTHS = {
+  POINT: 0,
+  MULTIPOINT: 1,
+  LINESTRING: 1,
+  MULTILINESTRING: 2,
+  POLYGON: 2,
+  MULTIPOLYGON: 3,
+};
+const WKT_TYPES = {
+  POINT: "Point",
+  MULTIPOINT: "MultiPoint",
+  LINESTRING: "LineString",
+  MULTILINESTRING: "MultiLineString",
+  POLYGON: "Polygon",
+  MULTIPOLYGON: "MultiPolygon",
+  GEOMETRYCOLLECTION: "GeometryCollection",
+};
+
+function depthOf(coords) {
+  return Array.isArray(coords[0]) ? 1 + depthOf(coords[0]) : 0;
+}
+
+// GeoJSON geometry from WKT or EWKT; Z and M values are dropped
+function parseWKT(text) {
+  const tokens =
+    text
+      .replace(/^\s*SRID=\d+;/i, "")
+      .match(/[A-Za-z]+|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[(),]/g) ||
+    [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const expect = (token) => {
+    if (tokens[pos] !== token) {
+      throw new Error(`expected "${token}" in WKT`);
+    }
+    pos++;
+  };
+
+  // "(" items ")" where an item is a coordinate or another list
+  const parseList = () => {
+    expect("(");
+    const items = [];
+    for (;;) {
+      if (peek() === "(") {
+        items.push(parseList());
+      } else {
+        const coord = [];
+        while (peek() !== undefined && /^[-+.\d]/.test(peek())) {
+          coord.push(parseFloat(tokens[pos++]));
+        }
+        if (coord.length < 2) throw new Error("coordinate needs x and y");
+        items.push(coord.slice(0, 2));
+      }
+      if (peek() !== ",") break;
+      pos++;
+    }
+    expect(")");
+    return items;
+  };
+
+  const parseGeometry = () => {
+    // EWKT may join the dimension to the name, as in POINTM
+    const [, name, joined] = (tokens[pos++] || "")
+      .toUpperCase()
+      .match(/^(.*?)(ZM|Z|M)?$/);
+    const type = WKT_TYPES[name];
+    if (!type) throw new Error(`unknown WKT geometry ${name || "(none)"}`);
+    if (!joined && /^(Z|M|ZM)$/i.test(peek())) pos++;
+    if (/^EMPTY$/i.test(peek())) {
+      pos++;
+      return type === "GeometryCollection" ? { type, geometries: [] } : null;
+    }
+
+    if (type === "GeometryCollection") {
+      expect("(");
+      const geometries = [parseGeometry()];
+      while (peek() === ",") {
+        pos++;
+        geometries.push(parseGeometry());
+      }
+      expect(")");
+      return { type, geometries: geometries.filter(Boolean) };
+    }
+
+    let coordinates = parseList();
+    // MULTIPOINT (1 2, 3 4) and MULTIPOINT ((1 2), (3 4)) are both valid
+    if (type === "MultiPoint") {
+      coordinates = coordinates.map((c) => (Array.isArray(c[0]) ? c[0] : c));
+    }
+    if (type === "Point") coordinates = coordinates[0];
+    if (depthOf(coordinates) !== WKT_DEPTHS[name]) {
+      throw new Error(`malformed ${type} coordinates`);
+    }
+    return { type, coordinates };
+  };
+
+  const geometry = parseGeometry();
+  if (pos !== tokens.length) throw new Error("unexpected text after WKT");
+  return geometry;
+}
+
+function findColumn(header, configured, candidates) {
+  const lower = header.map((name) => name.trim().toLowerCase());
+  if (configured) {
+    const index = lower.indexOf(configured.toLowerCase());
+    if (index < 0) throw new Error(`CSV has no column "${configured}"`);
+    return index;
+  }
+  const name = candidates.find((candidate) => lower.includes(candidate));
+  return name ? lower.indexOf(name) : -1;
+}
+
+// "1,204" and " 3 " read as numbers; anything else is left for validation
+function coerceNumber(value) {
+  const number = Number(value.trim().replace(/,/g, ""));
+  return Number.isFinite(number) ? number : value;
+}
+
+// Read a CSV layer as { type: "FeatureCollection", features, skipped }.
+// `columns` names the lat, lon or wkt columns and `numberFields` lists the
+// properties to read as numbers. Each feature's id is its row number,
+// where row 1 is the first row after the header. Rows whose geometry cannot
+// be read are left out and listed in `skipped` as { row, reason }.
+function readCsvLayer(filePath, { columns = {}, numberFields = [] } = {}) {
+  const text = fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "");
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error("CSV is empty");
+
+  const index = Object.fromEntries(
+    COLUMN_KEYS.map((key) => [
+      key,
+      findColumn(header, columns[key], COLUMN_NAMES[key]),
+    ])
+  );
+  // Configured columns decide; otherwise latitude/longitude win over WKT
+  const hasLatLon = index.lat >= 0 && index.lon >= 0;
+  const useWkt = !!columns.wkt || (!columns.lat && !columns.lon && !hasLatLon);
+  if (useWkt && index.wkt < 0) {
+    throw new Error("CSV needs latitude and longitude columns or a WKT column");
+  }
+  if (!useWkt && !hasLatLon) {
+    throw new Error("CSV needs both latitude and longitude columns");
+  }
+  const geometryColumns = useWkt ? [index.wkt] : [index.lat, index.lon];
+
+  const numeric = new Set(numberFields);
+  const features = [];
+  const skipped = [];
+  rows.forEach((values, i) => {
+    const cell = (column) => (values[column] || "").trim();
+    let geometry;
+    try {
+      if (useWkt) {
+        if (!cell(index.wkt)) throw new Error("missing WKT");
+        geometry = parseWKT(cell(index.wkt));
+        if (!geometry) throw new Error("empty WKT geometry");
+      } else {
+        if (!cell(index.lat) || !cell(index.lon)) {
+          throw new Error("missing coordinates");
+        }
+        const lat = Number(cell(index.lat));
+        const lon = Number(cell(index.lon));
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+          throw new Error(
+            `unparseable coordinates ${JSON.stringify(cell(index.lat))}, ` +
+              JSON.stringify(cell(index.lon))
+          );
+        }
+        geometry = { type: "Point", coordinates: [lon, lat] };
+      }
+    } catch (error) {
+      skipped.push({ row: i + 1, reason: error.message });
+      return;
+    }
+
+    const properties = {};
+    header.forEach((name, column) => {
+      if (geometryColumns.includes(column)) return;
+      const key = name.trim();
+      const value = values[column] ?? "";
+      if (value.trim() === "") properties[key] = null;
+      else properties[key] = numeric.has(key) ? coerceNumber(value) : value;
+    });
+    features.push({ type: "Feature", id: i + 1, geometry, properties });
+  });
+
+  return { type: "FeatureCollection", features, skipped };
+}
+
+module.exports = { COLUMN_KEYS, parseWKT, readCsvLayer };
@@ -0,0 +1,279 @@
+const turf = require("@turf/turf");
+const RBush = require("rbush");
+
+// Geometry validation and repair for uploaded layers. Every GeoJSON geometry
+// type is checked; what could be fixed is fixed, what could not is dropped,
+// and both are counted per layer so a run can report them.
+const FIX_LABELS = {
+  null_geometry: "features without geometry dropped",
+  unsupported_geometry: "unsupported geometries dropped",
+  empty_geometry: "features left without usable geometry dropped",
+  flattened_3d: "features with Z or M values flattened to 2D",
+  coerced_coordinates: "features with text coordinates converted",
+  invalid_positions: "non-numeric positions removed",
+  duplicate_vertices: "duplicate vertices removed",
+  closed_rings: "unclosed rings closed",
+  degenerate_parts: "degenerate lines, rings or parts removed",
+  repaired_self_intersections: "self-intersecting polygons split",
+  self_intersections: "self-intersecting polygons left as is",
+};
+
+// [x, y] of a position, or null when it has no numeric x and y
+function repairPosition(position, fix, flags) {
+  if (!Array.isArray(position) || position.length < 2) {
+    fix("invalid_positions");
+    return null;
+  }
+  const [rawX, rawY] = position;
+  const isText = typeof rawX === "string" || typeof rawY === "string";
+  const x = isText && rawX !== "" ? Number(rawX) : rawX;
+  const y = isText && rawY !== "" ? Number(rawY) : rawY;
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    fix("invalid_positions");
+    return null;
+  }
+  if (isText) flags.add("coerced_coordinates");
+  if (position.length > 2) flags.add("flattened_3d");
+  return [x, y];
+}
+
+function samePosition(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+// Valid positions of a line or ring without consecutive duplicates
+function repairPath(coords, fix, flags) {
+  if (!Array.isArray(coords)) return [];
+  const path = [];
+  coords.forEach((position) => {
+    const repaired = repairPosition(position, fix, flags);
+    if (!repaired) return;
+    if (path.length > 0 && samePosition(path[path.length - 1], repaired)) {
+      fix("duplicate_vertices");
+      return;
+    }
+    path.push(repaired);
+  });
+  return path;
+}
+
+function repairLine(coords, fix, flags) {
+  const line = repairPath(coords, fix, flags);
+  if (line.length < 2) {
+    fix("degenerate_parts");
+    return null;
+  }
+  return line;
+}
+
+function repairRing(coords, fix, flags) {
+  const ring = repairPath(coords, fix, flags);
+  if (ring.length > 1 && !samePosition(ring[0], ring[ring.length - 1])) {
+    ring.push(ring[0]);
+    fix("closed_rings");
+  }
+  if (ring.length < 4) {
+    fix("degenerate_parts");
+    return null;
+  }
+  return ring;
+}
+
+// Orientation of c relative to the line a-b: 1, -1 or 0 when collinear
+function orientation(a, b, c) {
+  return Math.sign(
+    (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])
+  );
+}
+
+function onSegment(a, b, p) {
+  return (
+    Math.min(a[0], b[0]) <= p[0] &&
+    p[0] <= Math.max(a[0], b[0]) &&
+    Math.min(a[1], b[1]) <= p[1] &&
+    p[1] <= Math.max(a[1], b[1])
+  );
+}
+
+function segmentsIntersect(a, b, c, d) {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (
+    (o1 === 0 && onSegment(a, b, c)) ||
+    (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) ||
+    (o4 === 0 && onSegment(c, d, b))
+  );
+}
+
+// Whether two non-adjacent edges of a closed ring cross or touch. Edges are
+// indexed in an R-tree so only edges with overlapping boxes are compared.
+function hasSelfIntersection(ring) {
+  const n = ring.length - 1;
+  if (n < 4) return false;
+  const edges = [];
+  for (let i = 0; i < n; i++) {
+    const [a, b] = [ring[i], ring[i + 1]];
+    edges.push({
+      minX: Math.min(a[0], b[0]),
+      minY: Math.min(a[1], b[1]),
+      maxX: Math.max(a[0], b[0]),
+      maxY: Math.max(a[1], b[1]),
+      i,
+    });
+  }
+  const tree = new RBush();
+  tree.load(edges);
+  return edges.some((edge) =>
+    tree.search(edge).some(({ i: j }) => {
+      const i = edge.i;
+      if (j <= i + 1 || (i === 0 && j === n - 1)) return false;
+      return segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1]);
+    })
+  );
+}
+
+// Polygons (as ring arrays) for one repaired polygon. Self-intersecting
+// polygons without holes are split into simple ones; those with holes, or
+// that cannot be split, are kept and counted.
+function repairPolygonRings(coords, fix, flags) {
+  if (!Array.isArray(coords)) return [];
+  const [outer, ...holes] = coords.map((ring) => repairRing(ring, fix, flags));
+  if (!outer) return [];
+  const rings = [outer, ...holes.filter(Boolean)];
+  if (!rings.some(hasSelfIntersection)) return [rings];
+
+  if (rings.length === 1) {
+    try {
+      const pieces = turf
+        .unkinkPolygon(turf.polygon(rings))
+        .features.map((piece) => piece.geometry.coordinates);
+      // unkinkPolygon returns touching rings unchanged; those are kept as is
+      const changed =
+        pieces.length > 1 || JSON.stringify(pieces) !== JSON.stringify([rings]);
+      if (changed) {
+        fix("repaired_self_intersections");
+        return pieces;
+      }
+    } catch (error) {
+      // Fall through and keep the polygon as given
+    }
+  }
+  fix("self_intersections");
+  return [rings];
+}
+
+const REPAIRERS = {
+  Point: (coords, fix, flags) => {
+    const point = repairPosition(coords, fix, flags);
+    return point && { type: "Point", coordinates: point };
+  },
+  MultiPoint: (coords, fix, flags) => {
+    const points = (Array.isArray(coords) ? coords : [])
+      .map((position) => repairPosition(position, fix, flags))
+      .filter(Boolean);
+    return points.length > 0
+      ? { type: "MultiPoint", coordinates: points }
+      : null;
+  },
+  LineString: (coords, fix, flags) => {
+    const line = repairLine(coords, fix, flags);
+    return line && { type: "LineString", coordinates: line };
+  },
+  MultiLineString: (coords, fix, flags) => {
+    const lines = (Array.isArray(coords) ? coords : [])
+      .map((line) => repairLine(line, fix, flags))
+      .filter(Boolean);
+    if (lines.length === 0) return null;
+    return { type: "MultiLineString", coordinates: lines };
+  },
+  Polygon: (coords, fix, flags) => {
+    const polygons = repairPolygonRings(coords, fix, flags);
+    if (polygons.length === 0) return null;
+    return polygons.length === 1
+      ? { type: "Polygon", coordinates: polygons[0] }
+      : { type: "MultiPolygon", coordinates: polygons };
+  },
+  MultiPolygon: (coords, fix, flags) => {
+    const polygons = (Array.isArray(coords) ? coords : []).flatMap((polygon) =>
+      repairPolygonRings(polygon, fix, flags)
+    );
+    if (polygons.length === 0) return null;
+    return { type: "MultiPolygon", coordinates: polygons };
+  },
+};
+
+function isSupported(type) {
+  return type === "GeometryCollection" || type in REPAIRERS;
+}
+
+// Repaired copy of a geometry, or null when nothing usable is left
+function repairGeometry(geometry, fix, flags) {
+  if (!geometry) return null;
+  if (geometry.type === "GeometryCollection") {
+    const geometries = (geometry.geometries || [])
+      .map((member) => repairGeometry(member, fix, flags))
+      .filter(Boolean);
+    return geometries.length > 0
+      ? { type: "GeometryCollection", geometries }
+      : null;
+  }
+  const repair = REPAIRERS[geometry.type];
+  if (!repair) {
+    fix("unsupported_geometry");
+    return null;
+  }
+  return repair(geometry.coordinates, fix, flags);
+}
+
+// Repair every feature of a layer. Returns the repaired collection and a
+// summary { features, kept, dropped, fixes } where dropped lists the indexes
+// of features left out and fixes counts each kind of repair.
+function repairLayer(fc) {
+  const fixes = {};
+  const fix = (kind) => {
+    fixes[kind] = (fixes[kind] || 0) + 1;
+  };
+
+  const features = [];
+  const dropped = [];
+  fc.features.forEach((feat, i) => {
+    if (!feat?.geometry) {
+      fix("null_geometry");
+      dropped.push(i);
+      return;
+    }
+    const flags = new Set();
+    const geometry = repairGeometry(feat.geometry, fix, flags);
+    flags.forEach(fix);
+    if (!geometry) {
+      // Unsupported types were already counted by repairGeometry
+      if (isSupported(feat.geometry.type)) fix("empty_geometry");
+      dropped.push(i);
+      return;
+    }
+    features.push({ ...feat, geometry });
+  });
+
+  return {
+    fc: turf.featureCollection(features),
+    summary: {
+      features: fc.features.length,
+      kept: features.length,
+      dropped,
+      fixes,
+    },
+  };
+}
+
+// "unclosed rings closed: 3, duplicate vertices removed: 12" style text
+function formatRepairs(summary) {
+  return Object.entries(summary.fixes)
+    .map(([kind, count]) => `${FIX_LABELS[kind]}: ${count}`)
+    .join(", ");
+}
+
+module.exports = { repairLayer, formatRepairs };
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// Finished jobs are kept in memory for an hour so clients can fetch results
+const JOB_TTL_MS = 60 * 60 * 1000;
+const FINISHED = ["completed", "failed", "cancelled"];
+
+const jobs = new Map();
+
+function createJob(criteria) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    created_at: now,
+    updated_at: now,
+    progress: {
+      total: criteria.length,
+      completed: 0,
+      criteria: Object.fromEntries(criteria.map((name) => [name, "pending"])),
+    },
+    result: null,
+    error: null,
+    controller: new AbortController(),
+    events: new EventEmitter(),
+  };
+  job.events.setMaxListeners(0);
+  jobs.set(job.id, job);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function isFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+// Public view of a job; the result is only included once it has completed
+function jobSnapshot(job) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    progress: job.progress,
+    ...(job.status === "completed" && { result: job.result }),
+    ...(job.error && { error: job.error }),
+  };
+}
+
+function emit(job, event, data) {
+  job.updated_at = new Date().toISOString();
+  job.events.emit("event", { event, data });
+}
+
+function finish(job, status, fields) {
+  if (isFinished(job)) return;
+  Object.assign(job, { status }, fields);
+  emit(job, status, jobSnapshot(job));
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+// Run the job in the background. `run` receives progress and abort hooks
+// and resolves with the analysis result.
+function runJob(job, run) {
+  job.status = "running";
+  emit(job, "status", jobSnapshot(job));
+
+  const onProgress = (name, status) => {
+    if (isFinished(job)) return;
+    job.progress.criteria[name] = status;
+    job.progress.completed = Object.values(job.progress.criteria).filter(
+      (s) => s !== "pending"
+    ).length;
+    emit(job, "progress", {
+      criterion: name,
+      status,
+      completed: job.progress.completed,
+      total: job.progress.total,
+    });
+  };
+
+  run({ onProgress, signal: job.controller.signal })
+    .then((result) => finish(job, "completed", { result }))
+    .catch((error) => {
+      if (job.controller.signal.aborted) return;
+      console.error(`Job ${job.id} failed:`, error);
+      finish(job, "failed", { error: error.message });
+    });
+}
+
+function cancelJob(job) {
+  if (isFinished(job)) return false;
+  job.controller.abort();
+  finish(job, "cancelled", { error: "Cancelled by request" });
+  return true;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  isFinished,
+  jobSnapshot,
+  runJob,
+  cancelJob,
+};
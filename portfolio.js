@@ -0,0 +1,265 @@
+// Budget-constrained project selection. Costs and budgets are in millions,
+// like cost_mil. Group constraints apply per county or per project type:
+//   { county: { Fairfax: { min_count: 1, max_cost: 20 } }, type: { ... } }
+const GROUP_FIELDS = ["county", "type"];
+const LIMIT_KEYS = ["min_count", "max_count", "min_cost", "max_cost"];
+const MAX_NODES = 2000000;
+const EPSILON = 1e-9;
+
+function validatePortfolioRequest(budget, constraints = {}) {
+  if (!Number.isFinite(budget) || budget < 0) {
+    throw new Error("budget must be a non-negative number");
+  }
+  if (!constraints || typeof constraints !== "object") {
+    throw new Error("constraints must be an object");
+  }
+  Object.entries(constraints).forEach(([field, groups]) => {
+    if (!GROUP_FIELDS.includes(field)) {
+      throw new Error(
+        `constraints can only group by ${GROUP_FIELDS.join(", ")}`
+      );
+    }
+    Object.entries(groups || {}).forEach(([group, limits]) => {
+      Object.entries(limits || {}).forEach(([key, value]) => {
+        if (!LIMIT_KEYS.includes(key)) {
+          throw new Error(
+            `${field}.${group}: limits must be ${LIMIT_KEYS.join(", ")}`
+          );
+        }
+        if (!Number.isFinite(value) || value < 0) {
+          throw new Error(
+            `${field}.${group}.${key} must be a non-negative number`
+          );
+        }
+      });
+    });
+  });
+}
+
+// Flatten constraints into a list of { field, group, limits }
+function getGroupConstraints(constraints) {
+  return Object.entries(constraints).flatMap(([field, groups]) =>
+    Object.entries(groups || {}).map(([group, limits]) => ({
+      field,
+      group,
+      limits: limits || {},
+    }))
+  );
+}
+
+function inGroup(project, { field, group }) {
+  return String(project[field]) === group;
+}
+
+// Totals of a selection and whether it satisfies every constraint
+function summarizeSelection(selected, budget, groupConstraints) {
+  const totalCost = selected.reduce((sum, p) => sum + p.cost_mil, 0);
+  const groups = groupConstraints.map((constraint) => {
+    const members = selected.filter((p) => inGroup(p, constraint));
+    const count = members.length;
+    const cost = members.reduce((sum, p) => sum + p.cost_mil, 0);
+    const { min_count, max_count, min_cost, max_cost } = constraint.limits;
+    const satisfied =
+      (min_count == null || count >= min_count) &&
+      (max_count == null || count <= max_count) &&
+      (min_cost == null || cost >= min_cost - EPSILON) &&
+      (max_cost == null || cost <= max_cost + EPSILON);
+    return {
+      field: constraint.field,
+      group: constraint.group,
+      count,
+      cost,
+      ...constraint.limits,
+      satisfied,
+    };
+  });
+
+  return {
+    project_ids: selected.map((p) => p.project_id),
+    count: selected.length,
+    total_cost: totalCost,
+    total_score: selected.reduce((sum, p) => sum + p.total_score, 0),
+    feasible: totalCost <= budget + EPSILON && groups.every((g) => g.satisfied),
+    groups,
+  };
+}
+
+// Fund projects in BCR order while they fit the budget and group maximums
+function selectGreedyByBcr(projects, budget, groupConstraints) {
+  const selected = [];
+  let spent = 0;
+  [...projects]
+    .sort((a, b) => b.bcr - a.bcr)
+    .forEach((project) => {
+      if (spent + project.cost_mil > budget + EPSILON) return;
+      const candidate = [...selected, project];
+      const exceeds = groupConstraints.some((constraint) => {
+        if (!inGroup(project, constraint)) return false;
+        const members = candidate.filter((p) => inGroup(p, constraint));
+        const cost = members.reduce((sum, p) => sum + p.cost_mil, 0);
+        const { max_count, max_cost } = constraint.limits;
+        return (
+          (max_count != null && members.length > max_count) ||
+          (max_cost != null && cost > max_cost + EPSILON)
+        );
+      });
+      if (exceeds) return;
+      selected.push(project);
+      spent += project.cost_mil;
+    });
+  return selected;
+}
+
+// 0/1 knapsack with group constraints, solved by depth-first branch and
+// bound. The bound is the fractional (LP) relaxation of the budget
+// constraint; group minimums prune branches that can no longer reach them.
+function selectOptimal(projects, budget, groupConstraints) {
+  const items = [...projects].sort(
+    (a, b) =>
+      b.total_score / Math.max(b.cost_mil, EPSILON) -
+      a.total_score / Math.max(a.cost_mil, EPSILON)
+  );
+  const n = items.length;
+  const memberOf = items.map((item) =>
+    groupConstraints.map((constraint) => inGroup(item, constraint))
+  );
+
+  // Count and cost still available to each group from item i onwards
+  const remaining = Array.from({ length: n + 1 }, () =>
+    groupConstraints.map(() => ({ count: 0, cost: 0 }))
+  );
+  for (let i = n - 1; i >= 0; i--) {
+    groupConstraints.forEach((_, g) => {
+      remaining[i][g] = {
+        count: remaining[i + 1][g].count + (memberOf[i][g] ? 1 : 0),
+        cost:
+          remaining[i + 1][g].cost + (memberOf[i][g] ? items[i].cost_mil : 0),
+      };
+    });
+  }
+
+  const counts = groupConstraints.map(() => 0);
+  const costs = groupConstraints.map(() => 0);
+  const chosen = [];
+  let best = { score: -Infinity, selection: null };
+  let nodes = 0;
+
+  const meetsMinimums = () =>
+    groupConstraints.every(({ limits }, g) => {
+      return (
+        (limits.min_count == null || counts[g] >= limits.min_count) &&
+        (limits.min_cost == null || costs[g] >= limits.min_cost - EPSILON)
+      );
+    });
+
+  const canReachMinimums = (i) =>
+    groupConstraints.every(({ limits }, g) => {
+      return (
+        (limits.min_count == null ||
+          counts[g] + remaining[i][g].count >= limits.min_count) &&
+        (limits.min_cost == null ||
+          costs[g] + remaining[i][g].cost >= limits.min_cost - EPSILON)
+      );
+    });
+
+  const fitsMaximums = (i) =>
+    groupConstraints.every(({ limits }, g) => {
+      if (!memberOf[i][g]) return true;
+      return (
+        (limits.max_count == null || counts[g] + 1 <= limits.max_count) &&
+        (limits.max_cost == null ||
+          costs[g] + items[i].cost_mil <= limits.max_cost + EPSILON)
+      );
+    });
+
+  const upperBound = (i, capacity, score) => {
+    let bound = score;
+    for (let j = i; j < n && capacity > EPSILON; j++) {
+      const take = Math.min(1, capacity / Math.max(items[j].cost_mil, EPSILON));
+      bound += items[j].total_score * take;
+      capacity -= items[j].cost_mil * take;
+    }
+    return bound;
+  };
+
+  const search = (i, spent, score) => {
+    if (++nodes > MAX_NODES) return;
+    if (score > best.score + EPSILON && meetsMinimums()) {
+      best = { score, selection: [...chosen] };
+    }
+    if (i === n || !canReachMinimums(i)) return;
+    if (upperBound(i, budget - spent, score) <= best.score + EPSILON) return;
+
+    const item = items[i];
+    if (spent + item.cost_mil <= budget + EPSILON && fitsMaximums(i)) {
+      chosen.push(item);
+      memberOf[i].forEach((member, g) => {
+        if (member) {
+          counts[g] += 1;
+          costs[g] += item.cost_mil;
+        }
+      });
+      search(i + 1, spent + item.cost_mil, score + item.total_score);
+      memberOf[i].forEach((member, g) => {
+        if (member) {
+          counts[g] -= 1;
+          costs[g] -= item.cost_mil;
+        }
+      });
+      chosen.pop();
+    }
+    search(i + 1, spent, score);
+  };
+
+  search(0, 0, 0);
+
+  return {
+    selection: best.selection,
+    proven_optimal: nodes <= MAX_NODES,
+    nodes: Math.min(nodes, MAX_NODES),
+  };
+}
+
+// Best-scoring set of projects under the budget and group constraints, with
+// the greedy-by-BCR selection for comparison
+function selectPortfolio(projects, budget, constraints = {}) {
+  validatePortfolioRequest(budget, constraints);
+  const groupConstraints = getGroupConstraints(constraints);
+  const candidates = projects.map((p) => ({
+    ...p,
+    cost_mil: parseFloat(p.cost_mil) || 0,
+    total_score: parseFloat(p.total_score) || 0,
+    bcr: parseFloat(p.bcr) || 0,
+  }));
+  const byRank = (a, b) => a.rank - b.rank;
+
+  const { selection, proven_optimal, nodes } = selectOptimal(
+    candidates,
+    budget,
+    groupConstraints
+  );
+  const greedy = selectGreedyByBcr(candidates, budget, groupConstraints);
+
+  return {
+    budget,
+    constraints,
+    optimal: selection
+      ? {
+          ...summarizeSelection(
+            selection.sort(byRank),
+            budget,
+            groupConstraints
+          ),
+          proven_optimal,
+          nodes,
+        }
+      : null,
+    greedy_bcr: summarizeSelection(
+      greedy.sort(byRank),
+      budget,
+      groupConstraints
+    ),
+  };
+}
+
+module.exports = { selectPortfolio };
@@ -0,0 +1,148 @@
+// Multi-year programming. Projects carry phased costs in millions (PE, RW,
+// CN) from pe_mil, rw_mil and cn_mil properties; a project without them is
+// treated as construction only at cost_mil. Phases are spent at fixed
+// offsets from each other; a project's start year is when its first funded
+// phase is spent.
+const PHASES = ["PE", "RW", "CN"];
+const DEFAULT_PHASE_OFFSETS = { PE: 0, RW: 1, CN: 2 };
+const EPSILON = 1e-9;
+
+function getPhaseCosts(props) {
+  const phases = Object.fromEntries(
+    PHASES.map((phase) => [
+      phase,
+      Math.max(0, parseFloat(props[`${phase.toLowerCase()}_mil`]) || 0),
+    ])
+  );
+  const total = PHASES.reduce((sum, phase) => sum + phases[phase], 0);
+  if (total > 0) return phases;
+  return { PE: 0, RW: 0, CN: parseFloat(props.cost_mil) || 0 };
+}
+
+// Annual caps keyed by fiscal year, e.g. { "2027": 12.5, "2028": 14 }
+function validateProgramRequest(caps, phaseOffsets) {
+  if (!caps || typeof caps !== "object" || Array.isArray(caps)) {
+    throw new Error("caps must be an object keyed by fiscal year");
+  }
+  const years = Object.keys(caps);
+  if (years.length === 0) {
+    throw new Error("caps must include at least one fiscal year");
+  }
+  years.forEach((year) => {
+    if (!/^\d{4}$/.test(year)) {
+      throw new Error(`Invalid fiscal year: ${year}`);
+    }
+    if (!Number.isFinite(caps[year]) || caps[year] < 0) {
+      throw new Error(`caps.${year} must be a non-negative number`);
+    }
+  });
+  Object.entries(phaseOffsets).forEach(([phase, offset]) => {
+    if (!PHASES.includes(phase)) {
+      throw new Error(`phase_offsets: unknown phase ${phase}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`phase_offsets.${phase} must be a non-negative integer`);
+    }
+  });
+}
+
+// Cash flow of a project started in `startYear`, one entry per funded phase
+function getCashFlow(phases, startYear, phaseOffsets) {
+  const funded = PHASES.filter((phase) => phases[phase] > 0);
+  const firstOffset = Math.min(...funded.map((phase) => phaseOffsets[phase]));
+  return funded.map((phase) => ({
+    phase,
+    fy: startYear + phaseOffsets[phase] - firstOffset,
+    cost: phases[phase],
+  }));
+}
+
+// Schedule projects in rank order, each at the earliest start year whose
+// cash flow fits the remaining annual caps. Projects that fit no start year
+// inside the program are returned as unfunded.
+function scheduleProgram(projects, caps, options = {}) {
+  const phaseOffsets = { ...DEFAULT_PHASE_OFFSETS, ...options.phase_offsets };
+  validateProgramRequest(caps, options.phase_offsets || {});
+
+  const years = Object.keys(caps)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const firstYear = years[0];
+  const lastYear = years[years.length - 1];
+  const remaining = new Map(years.map((fy) => [fy, caps[fy]]));
+
+  const funded = [];
+  const unfunded = [];
+
+  [...projects]
+    .sort((a, b) => a.rank - b.rank)
+    .forEach((project) => {
+      const phases = project.phases || getPhaseCosts(project);
+      const totalCost = PHASES.reduce((sum, phase) => sum + phases[phase], 0);
+
+      let startFy = null;
+      let cashFlow = null;
+      for (let start = firstYear; start <= lastYear && !cashFlow; start++) {
+        const flow = getCashFlow(phases, start, phaseOffsets);
+        const fits = flow.every(
+          ({ fy, cost }) =>
+            remaining.has(fy) && cost <= remaining.get(fy) + EPSILON
+        );
+        if (fits) {
+          startFy = start;
+          cashFlow = flow;
+        }
+      }
+
+      if (!cashFlow) {
+        unfunded.push({
+          project_id: project.project_id,
+          rank: project.rank,
+          total_cost: totalCost,
+          phases,
+        });
+        return;
+      }
+
+      cashFlow.forEach(({ fy, cost }) => {
+        remaining.set(fy, remaining.get(fy) - cost);
+      });
+      funded.push({
+        project_id: project.project_id,
+        rank: project.rank,
+        start_fy: startFy,
+        total_cost: totalCost,
+        cash_flow: cashFlow,
+      });
+    });
+
+  const program = years.map((fy) => {
+    const spending = funded.flatMap((project) =>
+      project.cash_flow
+        .filter((flow) => flow.fy === fy)
+        .map(({ phase, cost }) => ({
+          project_id: project.project_id,
+          phase,
+          cost,
+        }))
+    );
+    const programmed = spending.reduce((sum, s) => sum + s.cost, 0);
+    return {
+      fy,
+      cap: caps[fy],
+      programmed,
+      remaining: caps[fy] - programmed,
+      projects: spending,
+    };
+  });
+
+  return {
+    caps,
+    phase_offsets: phaseOffsets,
+    program,
+    funded,
+    unfunded,
+  };
+}
+
+module.exports = { getPhaseCosts, scheduleProgram };
@@ -0,0 +1,222 @@
+const fs = require("fs-extra");
+const path = require("path");
+const analysis = require("./analysis");
+const { NORMALIZATIONS } = require("./scoring");
+
+// Criterion registry. Each criterion declares:
+//   column         output score column (also its name in scoring profiles)
+//   layers         layer keys passed to the run function, in order
+//   optionalLayers layers from `layers` that may be omitted from an upload
+//   configKey      config section passed as the last argument, if any
+//   defaults       default settings for that config section
+//   points         max points at default scoring
+//   rawField       field of each result row holding the unscaled value
+//   normalization  default method for turning raw values into points (see
+//                  scoring.js); scoring profiles may choose another
+//   lowerIsBetter  true when a smaller raw value should score higher
+//   extraColumns   result fields reported next to the score
+//   module, run    module path and export name of the run function, which
+//                  takes the layers (and config) and returns one row per
+//                  project with project_id and rawField, plus an optional
+//                  `explain` object describing the inputs behind the value
+//   rescore        optional export name of a function (row, config) that
+//                  recomputes rawField for different config values without
+//                  repeating the spatial work; used by sensitivity analysis
+const criteria = new Map();
+
+// Local criteria are loaded from ./criteria, one or more per module
+const LOCAL_CRITERIA_DIR = path.resolve(
+  process.env.CRITERIA_DIR || "./criteria"
+);
+const ANALYSIS_MODULE = require.resolve("./analysis");
+
+function registerCriterion(definition) {
+  const criterion = {
+    optionalLayers: [],
+    configKey: null,
+    defaults: null,
+    normalization: "max",
+    lowerIsBetter: false,
+    extraColumns: [],
+    rescore: null,
+    ...definition,
+  };
+  const { column } = criterion;
+
+  if (!/^\w+$/.test(column || "")) {
+    throw new Error(`Invalid criterion column: ${column}`);
+  }
+  if (criteria.has(column)) {
+    throw new Error(`Criterion already registered: ${column}`);
+  }
+  if (!Array.isArray(criterion.layers) || criterion.layers[0] !== "projects") {
+    throw new Error(`${column}: layers must start with "projects"`);
+  }
+  if (!(criterion.points > 0)) {
+    throw new Error(`${column}: points must be a positive number`);
+  }
+  if (!criterion.rawField) {
+    throw new Error(`${column}: rawField is required`);
+  }
+  if (!NORMALIZATIONS.includes(criterion.normalization)) {
+    throw new Error(
+      `${column}: normalization must be one of ${NORMALIZATIONS.join(", ")}`
+    );
+  }
+  [criterion.run, criterion.rescore].filter(Boolean).forEach((name) => {
+    if (typeof require(criterion.module)[name] !== "function") {
+      throw new Error(`${column}: ${name} is not exported`);
+    }
+  });
+
+  criteria.set(column, criterion);
+  return criterion;
+}
+
+function getCriteria() {
+  return Array.from(criteria.values());
+}
+
+// Every layer any criterion reads, with whether an upload must include it
+function getLayers() {
+  const layers = new Map();
+  getCriteria().forEach((criterion) => {
+    criterion.layers.forEach((key) => {
+      const required = !criterion.optionalLayers.includes(key);
+      layers.set(key, layers.get(key) || required);
+    });
+  });
+  return Array.from(layers, ([key, required]) => ({ key, required }));
+}
+
+function loadLocalCriteria(dir = LOCAL_CRITERIA_DIR) {
+  if (!fs.existsSync(dir)) return;
+  fs.readdirSync(dir)
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .forEach((file) => {
+      const modulePath = path.join(dir, file);
+      try {
+        const exported = require(modulePath);
+        const definitions = Array.isArray(exported) ? exported : [exported];
+        definitions.forEach((definition) => {
+          registerCriterion({ module: modulePath, ...definition });
+          console.log(`Registered local criterion ${definition.column}`);
+        });
+      } catch (error) {
+        console.error(`Failed to load criterion from ${file}:`, error.message);
+      }
+    });
+}
+
+// Built-in criteria, in the order they are run and reported
+[
+  {
+    column: "safety_freq",
+    layers: ["projects", "crashes"],
+    configKey: "crash",
+    defaults: analysis.crashConfig,
+    points: 50,
+    rawField: "benefit",
+    run: "analyzeSafetyFrequency",
+    rescore: "rescoreSafetyFrequency",
+  },
+  {
+    column: "safety_rate",
+    layers: ["projects", "crashes"],
+    configKey: "crash",
+    defaults: analysis.crashConfig,
+    points: 50,
+    rawField: "epdo_rate",
+    run: "analyzeSafetyRate",
+    rescore: "rescoreSafetyRate",
+  },
+  {
+    column: "cong_demand",
+    layers: ["projects", "aadt"],
+    points: 10,
+    rawField: "wa_aadt",
+    run: "analyzeCongestionDemand",
+  },
+  {
+    column: "cong_los",
+    layers: ["projects", "aadt"],
+    points: 5,
+    rawField: "sum_cong_value",
+    run: "analyzeCongestionLos",
+  },
+  {
+    column: "jobs_pc",
+    layers: ["projects", "popemp"],
+    points: 5,
+    rawField: "pct_change",
+    run: "analyzeEquityAccessJobs",
+  },
+  {
+    column: "jobs_pc_ej",
+    layers: ["projects", "popemp", "t6"],
+    points: 5,
+    rawField: "pct_change",
+    run: "analyzeEquityAccessJobsEJ",
+  },
+  {
+    column: "access_nw_norm",
+    layers: ["projects", "popemp", "nw"],
+    points: 5,
+    rawField: "access_nw",
+    run: "analyzeAccessNonWork",
+  },
+  {
+    column: "access_nw_ej_norm",
+    layers: ["projects", "popemp", "nw", "t6"],
+    points: 5,
+    rawField: "access_nw_ej",
+    run: "analyzeAccessNonWorkEJ",
+  },
+  {
+    column: "env_impact_score",
+    layers: ["projects", "fhz", "frsk", "wet", "con"],
+    configKey: "environment",
+    defaults: analysis.sensitiveFeatureConfig,
+    points: 10,
+    rawField: "impact",
+    lowerIsBetter: true,
+    extraColumns: ["fhz_acres", "frsk_acres", "wet_acres", "con_acres"],
+    run: "analyzeSensitiveFeatures",
+  },
+  {
+    column: "job_growth_score",
+    layers: ["projects", "popemp"],
+    points: 10,
+    rawField: "emp_growth",
+    extraColumns: ["emp_growth", "growth_density"],
+    run: "analyzeJobGrowth",
+  },
+  {
+    column: "freight_score",
+    layers: ["projects", "lehd"],
+    optionalLayers: ["lehd"],
+    configKey: "freight",
+    defaults: analysis.freightConfig,
+    points: 10,
+    rawField: "freight_jobs",
+    extraColumns: ["freight_jobs"],
+    run: "analyzeFreightJobs",
+  },
+  {
+    column: "activity_score",
+    layers: ["projects", "actv"],
+    optionalLayers: ["actv"],
+    configKey: "activity",
+    defaults: analysis.activityCenterConfig,
+    points: 10,
+    rawField: "actv_weighted",
+    run: "analyzeActivityCenters",
+  },
+].forEach((definition) =>
+  registerCriterion({ module: ANALYSIS_MODULE, ...definition })
+);
+
+loadLocalCriteria();
+
+module.exports = { registerCriterion, getCriteria, getLayers };
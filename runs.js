@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+
+// Run history is stored as one JSON file per run under ./runs. Input layers
+// are copied into ./runs/inputs, named by content hash, so a run can be
+// repeated with byte-identical inputs after ./uploads is cleared.
+const RUNS_DIR = "./runs";
+const INPUTS_DIR = path.join(RUNS_DIR, "inputs");
+fs.ensureDirSync(INPUTS_DIR);
+
+const { version: ENGINE_VERSION } = require("./package.json");
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+// Copy each input layer into the content-addressed store
+async function storeInputs(filePaths) {
+  const inputs = {};
+  for (const [layer, filePath] of Object.entries(filePaths)) {
+    const sha256 = await hashFile(filePath);
+    const stored = path.join(
+      INPUTS_DIR,
+      `${sha256}${path.extname(filePath).toLowerCase()}`
+    );
+    if (!(await fs.pathExists(stored))) {
+      await fs.copy(filePath, stored);
+    }
+    inputs[layer] = {
+      sha256,
+      file: path.basename(filePath).replace(/^\d+-/, ""),
+      stored,
+      size: (await fs.stat(stored)).size,
+    };
+  }
+  return inputs;
+}
+
+// File paths for re-running a stored run, verified against their hashes
+async function getRunInputPaths(run) {
+  const filePaths = {};
+  for (const [layer, input] of Object.entries(run.inputs)) {
+    if (!(await fs.pathExists(input.stored))) {
+      throw new Error(`Stored input for ${layer} is missing`);
+    }
+    if ((await hashFile(input.stored)) !== input.sha256) {
+      throw new Error(`Stored input for ${layer} does not match its hash`);
+    }
+    filePaths[layer] = input.stored;
+  }
+  return filePaths;
+}
+
+function runFile(id) {
+  return path.join(RUNS_DIR, `${id}.json`);
+}
+
+async function saveRun(fields) {
+  const run = {
+    id: crypto.randomUUID(),
+    created_at: new Date().toISOString(),
+    engine_version: ENGINE_VERSION,
+    ...fields,
+  };
+  await fs.writeJson(runFile(run.id), run, { spaces: 2 });
+  return run;
+}
+
+async function getRun(id) {
+  if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+  const file = runFile(id);
+  return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+}
+
+// Summaries of all stored runs, newest first
+async function listRuns() {
+  const names = (await fs.readdir(RUNS_DIR)).filter((name) =>
+    name.endsWith(".json")
+  );
+  const runs = await Promise.all(
+    names.map((name) => fs.readJson(path.join(RUNS_DIR, name)))
+  );
+  return runs
+    .map((run) => ({
+      id: run.id,
+      created_at: run.created_at,
+      status: run.status,
+      source: run.source,
+      profile: run.profile || null,
+      rerun_of: run.rerun_of || null,
+      total_projects: run.result?.summary?.total_projects ?? null,
+      warnings: run.warnings?.length || 0,
+      inputs: Object.fromEntries(
+        Object.entries(run.inputs).map(([layer, input]) => [
+          layer,
+          input.sha256,
+        ])
+      ),
+    }))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+module.exports = {
+  storeInputs,
+  getRunInputPaths,
+  saveRun,
+  getRun,
+  listRuns,
+};
@@ -0,0 +1,76 @@
+// Rank comparison between scored scenarios of the same dataset. Ranks are
+// 1..n positions (no ties), as assigned by runAnalysis.
+
+function getRanks(projects) {
+  return new Map(projects.map((p) => [p.project_id, p.rank]));
+}
+
+// Spearman's rho from rank differences: 1 - 6 * sum(d^2) / (n * (n^2 - 1))
+function spearmanRho(ranksA, ranksB) {
+  const n = ranksA.length;
+  if (n < 2) return 1;
+  const sumSq = ranksA.reduce((sum, r, i) => sum + (r - ranksB[i]) ** 2, 0);
+  return 1 - (6 * sumSq) / (n * (n * n - 1));
+}
+
+// Kendall's tau: (concordant - discordant) pairs over all pairs
+function kendallTau(ranksA, ranksB) {
+  const n = ranksA.length;
+  if (n < 2) return 1;
+  let balance = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      balance += Math.sign((ranksA[i] - ranksA[j]) * (ranksB[i] - ranksB[j]));
+    }
+  }
+  return balance / ((n * (n - 1)) / 2);
+}
+
+// Per-project ranks in every scenario with the change from the first
+// (baseline) scenario, positive when a project moves up, and pairwise rank
+// correlations between scenarios
+function compareScenarios(scenarios) {
+  const [baseline] = scenarios;
+  const ranks = scenarios.map((scenario) => getRanks(scenario.projects));
+  const projectIds = baseline.projects
+    .slice()
+    .sort((a, b) => a.rank - b.rank)
+    .map((p) => p.project_id);
+
+  const projects = projectIds.map((pid) => {
+    const byScenario = scenarios.map((scenario, s) => [
+      scenario.name,
+      ranks[s].get(pid),
+    ]);
+    const values = byScenario.map(([, rank]) => rank);
+    return {
+      project_id: pid,
+      ranks: Object.fromEntries(byScenario),
+      rank_change: Object.fromEntries(
+        byScenario
+          .slice(1)
+          .map(([name, rank]) => [name, ranks[0].get(pid) - rank])
+      ),
+      rank_range: Math.max(...values) - Math.min(...values),
+    };
+  });
+
+  const correlation = [];
+  scenarios.forEach((a, i) => {
+    scenarios.slice(i + 1).forEach((b, k) => {
+      const j = i + 1 + k;
+      const ranksA = projectIds.map((pid) => ranks[i].get(pid));
+      const ranksB = projectIds.map((pid) => ranks[j].get(pid));
+      correlation.push({
+        a: a.name,
+        b: b.name,
+        spearman: spearmanRho(ranksA, ranksB),
+        kendall_tau: kendallTau(ranksA, ranksB),
+      });
+    });
+  });
+
+  return { baseline: baseline.name, projects, correlation };
+}
+
+module.exports = { compareScenarios };
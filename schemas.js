@@ -0,0 +1,287 @@
+const { parseYear } = require("./analysis");
+
+// Declared schemas for the uploaded layers. Field specs:
+//   type          "number", "string" or "year" (read as the crash analysis
+//                 reads crash years, so dates count)
+//   required      missing or invalid values are errors instead of warnings
+//   values        allowed values (compared case-insensitively)
+//   alternatives  other fields that stand in when this one is missing
+//   optional      a missing value is expected and not reported
+//   missing       what the analysis does when the value is missing
+// Crash, freight and activity field names come from the resolved config.
+const LINES = ["LineString", "MultiLineString"];
+const POINTS = ["Point", "MultiPoint"];
+const POLYGONS = ["Polygon", "MultiPolygon"];
+
+function getLayerSchemas(settings) {
+  const crash = settings.crash;
+  const crashCounts = Object.fromEntries(
+    ["K", "A", "B", "C"].map((sev) => [
+      crash.fields[sev],
+      { type: "number", missing: "counts as zero" },
+    ])
+  );
+  const freightSectors = Object.fromEntries(
+    settings.freight.sectors.map((sector) => [
+      sector,
+      { type: "number", missing: "counts as zero" },
+    ])
+  );
+  const activity = settings.activity;
+
+  return {
+    projects: {
+      geometry: [...LINES, ...POINTS, ...POLYGONS],
+      fields: {
+        project_id: { optional: true },
+        type: {
+          type: "string",
+          values: ["highway", "intersection"],
+          missing: 'defaults to "unknown"',
+        },
+        county: { type: "string", missing: 'defaults to "unknown"' },
+        cost_mil: {
+          type: "number",
+          required: true,
+          alternatives: ["pe_mil", "rw_mil", "cn_mil"],
+          missing: "defaults to 1",
+        },
+        pe_mil: { type: "number", optional: true },
+        rw_mil: { type: "number", optional: true },
+        cn_mil: { type: "number", optional: true },
+        tier: {
+          type: "string",
+          values: ["EIS", "EA", "CE"],
+          missing: 'defaults to "unknown"',
+        },
+        fc: {
+          type: "string",
+          values: ["PA", "MA", "MC"],
+          missing: 'defaults to "MC"',
+        },
+        cmf: { type: "number", missing: "defaults to 0" },
+        AADT: { type: "number", missing: "defaults to 0" },
+        length: { type: "number", missing: "defaults to 1" },
+      },
+    },
+    crashes: {
+      geometry: POINTS,
+      fields: {
+        ...crashCounts,
+        [crash.fields.O]: { type: "number", optional: true },
+        [crash.yearField]: {
+          type: "year",
+          missing: "crash is dropped when a year window is set",
+        },
+      },
+    },
+    aadt: {
+      geometry: LINES,
+      fields: {
+        aadt_0: {
+          type: "number",
+          alternatives: ["AADT"],
+          missing: "counts as zero",
+        },
+        los_0: {
+          type: "string",
+          values: ["A", "B", "C", "D", "E", "F"],
+          missing: 'defaults to "A"',
+        },
+      },
+    },
+    popemp: {
+      geometry: [...POLYGONS, ...POINTS],
+      fields: {
+        emp17: { type: "number", missing: "counts as zero" },
+        emp50: { type: "number", missing: "counts as zero" },
+        pop17: {
+          type: "number",
+          alternatives: ["pop"],
+          missing: "counts as zero",
+        },
+      },
+    },
+    t6: { geometry: POLYGONS, fields: {} },
+    nw: { geometry: [...POINTS, ...POLYGONS], fields: {} },
+    fhz: { geometry: [...POLYGONS, ...LINES], fields: {} },
+    frsk: { geometry: [...POLYGONS, ...LINES], fields: {} },
+    wet: { geometry: [...POLYGONS, ...LINES], fields: {} },
+    con: { geometry: [...POLYGONS, ...LINES], fields: {} },
+    lehd: { geometry: [...POLYGONS, ...POINTS], fields: freightSectors },
+    actv: {
+      geometry: [...POINTS, ...POLYGONS],
+      fields: {
+        ...(activity.typeField && {
+          [activity.typeField]: {
+            type: "string",
+            values: Object.keys(activity.typeWeights),
+            missing: `uses the default type weight`,
+          },
+        }),
+        ...(activity.sizeField && {
+          [activity.sizeField]: { type: "number", missing: "counts as zero" },
+        }),
+      },
+    },
+  };
+}
+
+function isMissing(value) {
+  return value == null || value === "";
+}
+
+function isValidNumber(value) {
+  return Number.isFinite(typeof value === "number" ? value : Number(value));
+}
+
+// "3 of 8 features" style counts
+function ofFeatures(count, total) {
+  return `${count} of ${total} feature${total === 1 ? "" : "s"}`;
+}
+
+function validateFields(features, fields, report) {
+  const total = features.length;
+  Object.entries(fields).forEach(([name, spec]) => {
+    const issue = (message) =>
+      (spec.required ? report.errors : report.warnings).push(message);
+    const present = features.filter((feat) => {
+      const props = feat.properties || {};
+      return (
+        !isMissing(props[name]) ||
+        (spec.alternatives || []).some((alt) => !isMissing(props[alt]))
+      );
+    });
+
+    const missing = total - present.length;
+    if (missing > 0 && !spec.optional) {
+      const also = spec.alternatives
+        ? ` (or ${spec.alternatives.join(", ")})`
+        : "";
+      issue(
+        `${name}${also} missing on ${ofFeatures(missing, total)}` +
+          (spec.missing ? `; ${spec.missing}` : "")
+      );
+    }
+
+    const values = present
+      .map((feat) => feat.properties[name])
+      .filter((value) => !isMissing(value));
+
+    if (spec.type === "number") {
+      const invalid = values.filter((value) => !isValidNumber(value));
+      if (invalid.length > 0) {
+        issue(
+          `${name} is not numeric on ${ofFeatures(invalid.length, total)} ` +
+            `(e.g. ${JSON.stringify(invalid[0])})`
+        );
+      }
+    }
+
+    if (spec.type === "year") {
+      const invalid = values.filter((value) => parseYear(value) == null);
+      if (invalid.length > 0) {
+        issue(
+          `${name} has no year on ${ofFeatures(invalid.length, total)} ` +
+            `(e.g. ${JSON.stringify(invalid[0])})` +
+            (spec.missing ? `; ${spec.missing}` : "")
+        );
+      }
+    }
+
+    if (spec.values) {
+      const allowed = spec.values.map((v) => v.toLowerCase());
+      const unexpected = [
+        ...new Set(
+          values.filter((v) => !allowed.includes(String(v).toLowerCase()))
+        ),
+      ];
+      if (unexpected.length > 0) {
+        issue(
+          `${name} has unexpected values ${unexpected
+            .slice(0, 5)
+            .map((v) => JSON.stringify(v))
+            .join(", ")}; expected ${spec.values.join(", ")}`
+        );
+      }
+    }
+  });
+}
+
+// Check one layer against its schema
+function validateLayer(fc, schema, { provided, required }) {
+  const report = {
+    provided,
+    features: fc.features.length,
+    geometry_types: {},
+    errors: [],
+    warnings: [],
+  };
+
+  if (!provided) {
+    if (required) report.errors.push("required layer not provided");
+    else report.warnings.push("layer not provided, criterion scores zero");
+    return report;
+  }
+  if (fc.features.length === 0) {
+    report.errors.push("layer has no features or could not be read");
+    return report;
+  }
+
+  fc.features.forEach((feat) => {
+    const type = feat?.geometry?.type || "null";
+    report.geometry_types[type] = (report.geometry_types[type] || 0) + 1;
+  });
+  Object.entries(report.geometry_types)
+    .filter(([type]) => schema.geometry && !schema.geometry.includes(type))
+    .forEach(([type, count]) => {
+      report.errors.push(
+        `${ofFeatures(count, fc.features.length)} have ${type} geometry; ` +
+          `expected ${schema.geometry.join(", ")}`
+      );
+    });
+
+  validateFields(fc.features, schema.fields, report);
+  return report;
+}
+
+// Validate every layer. `layers` is [{ key, required }] as from the registry
+// and `files` maps layer keys to loaded feature collections. Layers added by
+// local criteria have no schema and are only checked for features.
+function validateLayers(files, filePaths, layers, settings) {
+  const schemas = getLayerSchemas(settings);
+  return Object.fromEntries(
+    layers.map(({ key, required }) => [
+      key,
+      validateLayer(files[key], schemas[key] || { fields: {} }, {
+        provided: !!filePaths[key],
+        required,
+      }),
+    ])
+  );
+}
+
+// Numeric fields of each layer, including their alternatives, for readers
+// of untyped formats such as CSV
+function getNumberFields(settings) {
+  const schemas = getLayerSchemas(settings);
+  return Object.fromEntries(
+    Object.entries(schemas).map(([key, schema]) => [
+      key,
+      Object.entries(schema.fields)
+        .filter(([, spec]) => spec.type === "number")
+        .flatMap(([name, spec]) => [name, ...(spec.alternatives || [])]),
+    ])
+  );
+}
+
+// Flatten layer reports into "layer: message" strings
+function formatIssues(reports) {
+  return Object.entries(reports).flatMap(([key, report]) =>
+    [...report.errors, ...report.warnings].map(
+      (message) => `${key}: ${message}`
+    )
+  );
+}
+
+module.exports = { validateLayers, formatIssues, getNumberFields };
@@ -0,0 +1,76 @@
+// Normalization methods that turn a criterion's raw values into points:
+//   none        raw value is already 0-1
+//   max         share of the highest value
+//   min-max     position between the lowest and highest value
+//   percentile  share of the other projects with a lower value
+//   z-score     standard score capped at +/- Z_SCORE_CAP, mapped to 0-1
+//   log         log(1 + value) as a share of log(1 + highest value)
+const NORMALIZATIONS = [
+  "none",
+  "max",
+  "min-max",
+  "percentile",
+  "z-score",
+  "log",
+];
+const Z_SCORE_CAP = 3;
+
+const normalizers = {
+  none: (values) => values,
+
+  max: (values) => {
+    const maxValue = Math.max(0.0001, ...values);
+    return values.map((value) => value / maxValue);
+  },
+
+  "min-max": (values) => {
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min;
+    return values.map((value) =>
+      range > 0 ? (value - min) / range : value > 0 ? 1 : 0
+    );
+  },
+
+  percentile: (values) => {
+    if (values.length < 2) return values.map((value) => (value > 0 ? 1 : 0));
+    return values.map((value) => {
+      const below = values.filter((v) => v < value).length;
+      const ties = values.filter((v) => v === value).length - 1;
+      return (below + ties / 2) / (values.length - 1);
+    });
+  },
+
+  "z-score": (values) => {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const sd = Math.sqrt(
+      values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length
+    );
+    return values.map((value) => {
+      const z = sd > 0 ? (value - mean) / sd : 0;
+      const capped = Math.min(Z_SCORE_CAP, Math.max(-Z_SCORE_CAP, z));
+      return (capped + Z_SCORE_CAP) / (2 * Z_SCORE_CAP);
+    });
+  },
+
+  log: (values) => {
+    const logs = values.map((value) => Math.log1p(Math.max(0, value)));
+    const maxLog = Math.max(0.0001, ...logs);
+    return logs.map((value) => value / maxLog);
+  },
+};
+
+// Scale a criterion's raw values to 0..points. Missing values count as zero
+// and results are clamped, so negative raw values never give negative points.
+function normalizeCriterion(values, method, points, lowerIsBetter = false) {
+  const normalize = normalizers[method];
+  if (!normalize) {
+    throw new Error(`Unknown normalization method: ${method}`);
+  }
+  const numbers = values.map((value) => (Number.isFinite(value) ? value : 0));
+  return normalize(numbers).map((share) => {
+    const clamped = Math.min(1, Math.max(0, share));
+    return (lowerIsBetter ? 1 - clamped : clamped) * points;
+  });
+}
+
+module.exports = { NORMALIZATIONS, normalizeCriterion };
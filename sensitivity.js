@@ -0,0 +1,160 @@
+const { getCriteria } = require("./registry");
+
+// Monte Carlo sensitivity of project ranks. Each iteration scales every
+// criterion weight, every crash cost and every project's cost_mil by an
+// independent uniform factor in [1 - range, 1 + range], rescores and ranks.
+const sensitivityDefaults = {
+  iterations: 200,
+  top_k: 10,
+  seed: 1,
+  ranges: { weights: 0.2, crash_costs: 0.25, cost_mil: 0.15 },
+};
+const MAX_ITERATIONS = 5000;
+// Iterations scored between yields to the event loop
+const BATCH_SIZE = 25;
+
+function resolveSensitivityOptions(options = {}) {
+  const resolved = {
+    ...sensitivityDefaults,
+    ...options,
+    ranges: { ...sensitivityDefaults.ranges, ...options.ranges },
+  };
+  const { iterations, top_k, seed, ranges } = resolved;
+  if (
+    !Number.isInteger(iterations) ||
+    iterations < 1 ||
+    iterations > MAX_ITERATIONS
+  ) {
+    throw new Error(
+      `iterations must be an integer from 1 to ${MAX_ITERATIONS}`
+    );
+  }
+  if (!Number.isInteger(top_k) || top_k < 1) {
+    throw new Error("top_k must be a positive integer");
+  }
+  if (!Number.isInteger(seed)) {
+    throw new Error("seed must be an integer");
+  }
+  Object.entries(ranges).forEach(([key, range]) => {
+    if (!(key in sensitivityDefaults.ranges)) {
+      throw new Error(`Unknown range: ${key}`);
+    }
+    if (!Number.isFinite(range) || range < 0 || range >= 1) {
+      throw new Error(`ranges.${key} must be a number from 0 to below 1`);
+    }
+  });
+  return resolved;
+}
+
+// Small seeded PRNG (mulberry32) so a sensitivity run can be repeated
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// One perturbed copy of the metrics and settings
+function perturb(metrics, settings, ranges, random) {
+  const factor = (range) => 1 + (random() * 2 - 1) * range;
+
+  const criteria = Object.fromEntries(
+    Object.entries(settings.criteria).map(([column, c]) => [
+      column,
+      { ...c, weight: c.weight * factor(ranges.weights) },
+    ])
+  );
+  const crash = {
+    ...settings.crash,
+    costs: Object.fromEntries(
+      Object.entries(settings.crash.costs).map(([sev, cost]) => [
+        sev,
+        cost * factor(ranges.crash_costs),
+      ])
+    ),
+  };
+  const perturbedSettings = { ...settings, criteria, crash };
+
+  // Criteria that can rescore their rows pick up the perturbed config
+  const rows = { ...metrics.rows };
+  getCriteria()
+    .filter((criterion) => criterion.rescore && rows[criterion.column])
+    .forEach(({ column, module, rescore, rawField, configKey }) => {
+      const rescoreRow = require(module)[rescore];
+      rows[column] = rows[column].map((row) => ({
+        ...row,
+        [rawField]: rescoreRow(row, perturbedSettings[configKey]),
+      }));
+    });
+
+  const projects = metrics.projects.map((props) => ({
+    ...props,
+    cost_mil: props.cost_mil * factor(ranges.cost_mil),
+  }));
+
+  return {
+    metrics: { ...metrics, rows, projects },
+    settings: perturbedSettings,
+  };
+}
+
+// Rank statistics over perturbed runs. `score(metrics, settings)` is the
+// scoring step of runAnalysis and returns { projects } with ranks.
+// Iterations run in batches that yield to the event loop so other requests
+// are served meanwhile; `hooks.signal` (an AbortSignal) stops the run.
+async function runSensitivity(metrics, settings, options, score, hooks = {}) {
+  const { signal } = hooks;
+  const { iterations, top_k, seed, ranges } =
+    resolveSensitivityOptions(options);
+  const random = createRandom(seed);
+
+  const baseline = score(metrics, settings).projects;
+  const ranks = new Map(baseline.map((p) => [p.project_id, []]));
+
+  for (let i = 0; i < iterations; i++) {
+    if (i > 0 && i % BATCH_SIZE === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    if (signal?.aborted) {
+      throw new Error("Sensitivity analysis cancelled");
+    }
+    const perturbed = perturb(metrics, settings, ranges, random);
+    score(perturbed.metrics, perturbed.settings).projects.forEach((p) => {
+      ranks.get(p.project_id).push(p.rank);
+    });
+  }
+
+  return {
+    iterations,
+    top_k,
+    seed,
+    ranges,
+    projects: baseline.map((project) => {
+      const projectRanks = ranks.get(project.project_id);
+      const minRank = Math.min(...projectRanks);
+      const maxRank = Math.max(...projectRanks);
+      return {
+        project_id: project.project_id,
+        baseline_rank: project.rank,
+        median_rank: median(projectRanks),
+        min_rank: minRank,
+        max_rank: maxRank,
+        rank_range: maxRank - minRank,
+        p_top_k:
+          projectRanks.filter((rank) => rank <= top_k).length / iterations,
+      };
+    }),
+  };
+}
+
+module.exports = { resolveSensitivityOptions, runSensitivity };
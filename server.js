@@ -4,7 +4,47 @@ const cors = require("cors");
 const turf = require("@turf/turf");
 const fs = require("fs-extra");
 const path = require("path");
-const proj4 = require("proj4");
+const {
+  selectCrashWindow,
+  validateCrashConfig,
+  validateFreightConfig,
+  validateActivityConfig,
+  validateEnvironmentConfig,
+  isAnnualized,
+} = require("./analysis");
+const { getCriteria, getLayers } = require("./registry");
+const { NORMALIZATIONS, normalizeCriterion } = require("./scoring");
+const { selectPortfolio } = require("./portfolio");
+const { getPhaseCosts, scheduleProgram } = require("./programming");
+const { compareScenarios } = require("./scenarios");
+const { validateLayers, formatIssues, getNumberFields } = require("./schemas");
+const { resolveSensitivityOptions, runSensitivity } = require("./sensitivity");
+const { repairLayer, formatRepairs } = require("./geometry");
+const { isZipFile, readShapefileZip } = require("./shapefile");
+const { COLUMN_KEYS, readCsvLayer } = require("./csv");
+const {
+  parseEPSG,
+  isKnownEPSG,
+  detectCRS,
+  describeCRS,
+  toCRS,
+} = require("./crs");
+const { createWorkerPool } = require("./workerPool");
+const {
+  createJob,
+  getJob,
+  isFinished,
+  jobSnapshot,
+  runJob,
+  cancelJob,
+} = require("./jobs");
+const {
+  storeInputs,
+  getRunInputPaths,
+  saveRun,
+  getRun,
+  listRuns,
+} = require("./runs");
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -34,168 +74,159 @@ const storage = multer.diskStorage({
 const upload = multer({ storage, limits: { fileSize: 50 * 1024 * 1024 } });
 fs.ensureDirSync("./uploads");
 
-// Coordinate system definitions
-proj4.defs([
-  [
-    "EPSG:2263",
-    "+proj=lcc +lat_0=37.66666666666666 +lon_0=-78.5 +lat_1=36.76666666666667 +lat_2=37.96666666666667 +x_0=3500000 +y_0=2000000 +datum=NAD83 +units=us-ft +no_defs",
-  ],
-  [
-    "EPSG:2283",
-    "+proj=lcc +lat_0=37 +lon_0=-78.5 +lat_1=37.48333333333333 +lat_2=38.03333333333333 +x_0=3500000.0001016 +y_0=2000000.0001016 +datum=NAD83 +units=us-ft +no_defs",
-  ],
-  [
-    "EPSG:3857",
-    "+proj=merc +a=6378137 +b=6378137 +lat_ts=0.0 +lon_0=0.0 +x_0=0.0 +y_0=0 +k=1.0 +units=m +nadgrids=@null +wktext +no_defs",
-  ],
-  [
-    "EPSG:2264",
-    "+proj=lcc +lat_0=36.66666666666666 +lon_0=-79 +lat_1=37.96666666666667 +lat_2=36.76666666666667 +x_0=3500000 +y_0=999999.9999999999 +datum=NAD83 +units=us-ft +no_defs",
-  ],
-]);
-
-// Helper functions
-function loadGeoJSON(filePath) {
-  try {
-    const data = fs.readJsonSync(filePath);
-    console.log(`Loaded ${filePath}: ${data.features?.length || 0} features`);
-    return turf.featureCollection(data.features || []);
-  } catch (error) {
-    console.error(`Error loading ${filePath}:`, error.message);
-    return turf.featureCollection([]);
-  }
+// Analyses run off the event loop; ANALYSIS_WORKERS sets the pool size
+const analysisPool = createWorkerPool();
+
+// How each loaded layer was read: { format, crs: { epsg, source, name },
+// known, skipped_rows, repairs } where format is geojson, csv or shapefile
+// and known is whether the CRS could be applied, or { error } when the
+// layer could not be read
+const layerLoads = new WeakMap();
+
+// Why a layer's CRS could not be used, asking for a declaration
+function getUnknownCRSMessage(key, crs) {
+  const reason =
+    crs.source === "unknown"
+      ? "coordinates are not longitude/latitude and no CRS is given"
+      : `${describeCRS(crs)} from the ${crs.source} is not supported`;
+  return `${reason}; declare ${key}_crs`;
 }
 
-function toCRS(featureCollection, targetEPSG) {
-  try {
-    const sourceEPSG = 4326;
-    const newFeatures = featureCollection.features.map((feat) => {
-      if (!feat.geometry) return feat;
-
-      try {
-        const transformCoord = (coord) => {
-          try {
-            return proj4(`EPSG:${sourceEPSG}`, `EPSG:${targetEPSG}`, coord);
-          } catch (err) {
-            console.error("Coordinate transformation error:", err);
-            return coord;
-          }
-        };
-
-        let newGeometry;
-        if (feat.geometry.type === "Point") {
-          newGeometry = {
-            type: "Point",
-            coordinates: transformCoord(feat.geometry.coordinates),
-          };
-        } else if (feat.geometry.type === "LineString") {
-          newGeometry = {
-            type: "LineString",
-            coordinates: feat.geometry.coordinates.map(transformCoord),
-          };
-        } else if (feat.geometry.type === "Polygon") {
-          newGeometry = {
-            type: "Polygon",
-            coordinates: feat.geometry.coordinates.map((ring) =>
-              ring.map(transformCoord)
-            ),
-          };
-        } else if (feat.geometry.type === "MultiPolygon") {
-          newGeometry = {
-            type: "MultiPolygon",
-            coordinates: feat.geometry.coordinates.map((polygon) =>
-              polygon.map((ring) => ring.map(transformCoord))
-            ),
-          };
-        } else {
-          newGeometry = feat.geometry;
-        }
+// "a, b, c and 4 more" for long lists in warnings
+function formatList(items, limit = 10) {
+  const more = items.length - limit;
+  return (
+    items.slice(0, limit).join(", ") + (more > 0 ? ` and ${more} more` : "")
+  );
+}
 
-        return { ...feat, geometry: newGeometry };
-      } catch (error) {
-        console.error("Error transforming feature geometry:", error);
-        return feat;
+// Give projects without a project_id their 1-based position in the upload,
+// which for CSV layers is the row number kept as each feature's id. Runs
+// before geometry repair so that dropping a feature does not renumber the
+// projects after it.
+function assignDefaultProjectIds(fc, fromRows = false) {
+  fc.features = fc.features.map(
+    (feat, i) =>
+      feat && {
+        ...feat,
+        properties: {
+          ...feat.properties,
+          project_id:
+            feat.properties?.project_id || (fromRows ? feat.id : i + 1),
+        },
       }
-    });
-    return turf.featureCollection(newFeatures);
-  } catch (error) {
-    console.error("Error in toCRS:", error);
-    return featureCollection;
-  }
+  );
 }
 
-function createBuffer(feature, distance, units = "meters") {
-  try {
-    return turf.buffer(feature, distance, { units });
-  } catch (error) {
-    console.error("Error creating buffer:", error);
-    return feature;
-  }
+function getLoadInfo(featureCollection) {
+  return layerLoads.get(featureCollection) || null;
 }
 
-function getFeaturesInBuffer(
-  mainFeature,
-  featuresToCheck,
-  bufferDistance,
-  units = "meters"
-) {
+// Helper functions
+
+// Load a GeoJSON, CSV or zipped Shapefile layer in WGS84. `crs` declares
+// the source CRS and `csv` is passed to readCsvLayer.
+function loadGeoJSON(filePath, { crs: declaredCRS, csv } = {}) {
   try {
-    const buffer = createBuffer(mainFeature, bufferDistance, units);
-    const intersected = featuresToCheck.filter((feat) => {
-      try {
-        return turf.booleanIntersects(feat, buffer);
-      } catch (error) {
-        return false;
-      }
+    let data;
+    let format = "geojson";
+    if (isZipFile(filePath)) {
+      data = readShapefileZip(filePath);
+      format = "shapefile";
+    } else if (/\.csv$/i.test(filePath)) {
+      data = readCsvLayer(filePath, csv);
+      format = "csv";
+    } else {
+      data = fs.readJsonSync(filePath);
+    }
+    console.log(`Loaded ${filePath}: ${data.features?.length || 0} features`);
+    const fc = turf.featureCollection(data.features || []);
+
+    const { def, ...crs } = detectCRS(data, declaredCRS);
+    let result = fc;
+    if (!def) {
+      console.warn(
+        `${filePath}: unknown CRS (${crs.source}), coordinates left as is`
+      );
+    } else if (crs.epsg !== 4326) {
+      result = toCRS(fc, "EPSG:4326", def);
+      console.log(
+        `Reprojected ${filePath} from ${describeCRS(crs)} (${crs.source})`
+      );
+    }
+    layerLoads.set(result, {
+      format,
+      crs,
+      known: !!def,
+      skipped_rows: data.skipped || [],
     });
-    return intersected;
+    return result;
   } catch (error) {
-    console.error("Error in getFeaturesInBuffer:", error);
-    return [];
+    console.error(`Error loading ${filePath}:`, error.message);
+    const empty = turf.featureCollection([]);
+    layerLoads.set(empty, {
+      crs: null,
+      skipped_rows: [],
+      error: error.message,
+    });
+    return empty;
   }
 }
 
-// ✅ FIXED: Robust getCentroidsWithin with VALIDATION
-function getCentroidsWithin(buffer, features) {
-  return features.filter((feat) => {
-    try {
-      // 1. VALIDATE: Check for required structure
-      if (
-        !feat ||
-        !feat.geometry ||
-        !feat.geometry.coordinates ||
-        feat.geometry.coordinates.length === 0
-      ) {
-        return false;
+// Load every registered layer reprojected to WGS84 with its geometry
+// repaired; layers that were not uploaded are empty. CRS, skipped CSV row
+// and repair notices are added to `warnings`.
+function loadLayers(filePaths, settings, warnings = []) {
+  const numberFields = getNumberFields(settings);
+  return Object.fromEntries(
+    getLayers().map(({ key }) => {
+      if (!filePaths[key]) return [key, turf.featureCollection([])];
+      const loaded = loadGeoJSON(filePaths[key], {
+        crs: settings.crs[key],
+        csv: { columns: settings.csv[key], numberFields: numberFields[key] },
+      });
+      if (key === "projects") {
+        assignDefaultProjectIds(loaded, getLoadInfo(loaded).format === "csv");
       }
-
-      // 2. VALIDATE: Check ALL coordinates are NUMBERS
-      const coords = feat.geometry.coordinates;
-      const hasValidCoords = coords.every(
-        (coord) =>
-          Array.isArray(coord) &&
-          coord.every((c) => typeof c === "number" && !isNaN(c))
-      );
-
-      if (!hasValidCoords) {
-        console.log("⚠️ SKIPPING invalid coordinates:", coords);
-        return false;
+      const { fc, summary } = repairLayer(loaded);
+      const info = { ...getLoadInfo(loaded), repairs: summary };
+      layerLoads.set(fc, info);
+
+      if (info.error) {
+        warnings.push(`${key}: could not be read: ${info.error}`);
+      } else if (!info.known) {
+        warnings.push(`${key}: ${getUnknownCRSMessage(key, info.crs)}`);
+      } else if (info.crs.epsg !== 4326) {
+        warnings.push(
+          `${key}: reprojected from ${describeCRS(info.crs)} (${
+            info.crs.source
+          })`
+        );
       }
-
-      // 3. SAFE centroid calculation
-      const centroid = turf.centroid(feat);
-
-      // 4. VALIDATE centroid result
-      if (!centroid || !centroid.geometry || !centroid.geometry.coordinates) {
-        return false;
+      if (info.skipped_rows.length > 0) {
+        const rows = info.skipped_rows.map(
+          ({ row, reason }) => `row ${row} (${reason})`
+        );
+        warnings.push(
+          `${key}: skipped ${rows.length} CSV row(s): ${formatList(rows)}`
+        );
       }
-
-      return turf.booleanWithin(centroid, buffer);
-    } catch (error) {
-      console.log("⚠️ SKIPPING feature due to centroid error:", error.message);
-      return false;
-    }
-  });
+      if (Object.keys(summary.fixes).length > 0) {
+        warnings.push(`${key}: geometry repaired: ${formatRepairs(summary)}`);
+      }
+      if (key === "projects" && summary.dropped.length > 0) {
+        const ids = summary.dropped.map(
+          (i) => loaded.features[i]?.properties?.project_id ?? `#${i + 1}`
+        );
+        warnings.push(
+          `projects: dropped ${
+            ids.length
+          } project(s) without usable geometry: ${formatList(ids)}`
+        );
+      }
+      return [key, fc];
+    })
+  );
 }
 
 // Debug function to check data
@@ -217,788 +248,997 @@ function debugData(files) {
   console.log("==================\n");
 }
 
-// ✅ FIXED: Debug TAZ data before analysis
-function debugTAZData(fc, name) {
-  console.log(`\n🔍 DEBUG ${name}:`);
-  const valid = fc.features.filter((f) => {
-    if (!f.geometry?.coordinates) return false;
-    return f.geometry.coordinates.every(
-      (coord) =>
-        Array.isArray(coord) && coord.every((c) => typeof c === "number")
-    );
-  });
-  console.log(`  Total features: ${fc.features.length}`);
-  console.log(`  VALID features: ${valid.length}`);
-  console.log(`  INVALID: ${fc.features.length - valid.length}`);
-
-  if (valid.length > 0) {
-    console.log(`  Sample VALID:`, valid[0].geometry.coordinates);
-  }
-  if (fc.features.length > valid.length) {
-    console.log(`  Sample INVALID:`, fc.features[0].geometry.coordinates);
+// Optional per-request scoring settings sent as a JSON "config" form field
+function parseAnalysisConfig(raw) {
+  if (!raw) return {};
+  const config = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("config must be a JSON object");
   }
+  return config;
 }
 
-// Analysis functions
-function analyzeSafetyFrequency(projectsFC, crashesFC) {
-  console.log("\n=== SAFETY FREQUENCY ANALYSIS ===");
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
 
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
+// Deep-merge config objects; arrays and scalars in override replace base
+function mergeConfig(base, override) {
+  if (!isPlainObject(override)) return base;
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base?.[key])
+        ? mergeConfig(base[key], value)
+        : value;
+  });
+  return merged;
+}
 
-    try {
-      // Create 250 ft buffer around project
-      const buffer = createBuffer(proj, 250, "feet");
-
-      // Find crashes within buffer
-      const crashesInBuffer = crashesFC.features.filter((crash) => {
-        try {
-          return turf.booleanIntersects(crash, buffer);
-        } catch (error) {
-          return false;
-        }
-      });
+// Default scoring: every registered criterion enabled at its own points and
+// normalization, weight 1
+function getDefaultCriteria() {
+  return Object.fromEntries(
+    getCriteria().map(({ column, points, normalization }) => [
+      column,
+      { enabled: true, max_points: points, weight: 1, normalization },
+    ])
+  );
+}
 
-      console.log(
-        `Project ${projectId}: Found ${crashesInBuffer.length} crashes in buffer`
-      );
+// Per-criterion scoring settings from a profile or request, validated
+function resolveCriteria(overrides = {}) {
+  if (!isPlainObject(overrides)) {
+    throw new Error("criteria must be an object keyed by criterion name");
+  }
+  const defaults = getDefaultCriteria();
+  const unknown = Object.keys(overrides).filter((name) => !defaults[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown criteria: ${unknown.join(", ")}`);
+  }
 
-      // Calculate crash sums
-      const crashSums = crashesInBuffer.reduce(
-        (sums, crash) => {
-          const props = crash.properties || {};
-          return {
-            K_PEOPLE: sums.K_PEOPLE + (parseFloat(props.K_PEOPLE) || 0),
-            A_PEOPLE: sums.A_PEOPLE + (parseFloat(props.A_PEOPLE) || 0),
-            B_PEOPLE: sums.B_PEOPLE + (parseFloat(props.B_PEOPLE) || 0),
-            C_PEOPLE: sums.C_PEOPLE + (parseFloat(props.C_PEOPLE) || 0),
-          };
-        },
-        { K_PEOPLE: 0, A_PEOPLE: 0, B_PEOPLE: 0, C_PEOPLE: 0 }
+  const criteria = mergeConfig(defaults, overrides);
+  Object.entries(criteria).forEach(([name, c]) => {
+    if (typeof c.enabled !== "boolean") {
+      throw new Error(`${name}.enabled must be true or false`);
+    }
+    ["max_points", "weight"].forEach((key) => {
+      if (!Number.isFinite(c[key]) || c[key] < 0) {
+        throw new Error(`${name}.${key} must be a non-negative number`);
+      }
+    });
+    if (!NORMALIZATIONS.includes(c.normalization)) {
+      throw new Error(
+        `${name}.normalization must be one of ${NORMALIZATIONS.join(", ")}`
       );
+    }
+  });
+  return criteria;
+}
 
-      // Calculate EPDO
-      const EPDO =
-        crashSums.K_PEOPLE * 2715000 +
-        crashSums.A_PEOPLE * 2715000 +
-        crashSums.B_PEOPLE * 300000 +
-        crashSums.C_PEOPLE * 170000;
-
-      const cmf = parseFloat(proj.properties.cmf) || 0;
-      const benefit = EPDO * (1 - cmf);
-
-      console.log(`Project ${projectId}: EPDO=${EPDO}, benefit=${benefit}`);
+// Declared source CRS per layer, e.g. { "projects": "EPSG:2283" }
+function resolveLayerCRS(crs = {}) {
+  if (!isPlainObject(crs)) {
+    throw new Error("crs must be an object keyed by layer");
+  }
+  const layers = getLayers().map(({ key }) => key);
+  Object.entries(crs).forEach(([key, value]) => {
+    if (!layers.includes(key)) {
+      throw new Error(`crs: unknown layer ${key}`);
+    }
+    const epsg = parseEPSG(value);
+    if (!epsg || !isKnownEPSG(epsg)) {
+      throw new Error(`crs.${key}: unsupported CRS ${JSON.stringify(value)}`);
+    }
+  });
+  return crs;
+}
 
-      return { project_id: projectId, benefit };
-    } catch (error) {
-      console.error(`Error processing project ${projectId}:`, error);
-      return { project_id: projectId, benefit: 0 };
+// CSV geometry columns per layer, e.g. { "crashes": { "lat": "LAT",
+// "lon": "LONG" } } or { "projects": { "wkt": "GEOM" } }
+function resolveCsvColumns(csv = {}) {
+  if (!isPlainObject(csv)) {
+    throw new Error("csv must be an object keyed by layer");
+  }
+  const layers = getLayers().map(({ key }) => key);
+  Object.entries(csv).forEach(([key, columns]) => {
+    if (!layers.includes(key)) {
+      throw new Error(`csv: unknown layer ${key}`);
+    }
+    if (!isPlainObject(columns)) {
+      throw new Error(`csv.${key} must be an object`);
+    }
+    Object.entries(columns).forEach(([column, name]) => {
+      if (!COLUMN_KEYS.includes(column)) {
+        throw new Error(
+          `csv.${key}: columns must be ${COLUMN_KEYS.join(", ")}`
+        );
+      }
+      if (typeof name !== "string" || name.trim() === "") {
+        throw new Error(`csv.${key}.${column} must be a column name`);
+      }
+    });
+    if (columns.wkt && (columns.lat || columns.lon)) {
+      throw new Error(`csv.${key}: use either wkt or lat and lon`);
+    }
+    if (!columns.lat !== !columns.lon) {
+      throw new Error(`csv.${key}: lat and lon must be set together`);
     }
   });
+  return csv;
+}
 
-  const maxBenefit = Math.max(0.0001, ...results.map((r) => r.benefit));
-  console.log(`Max benefit: ${maxBenefit}`);
+// Per-file "<layer>_crs" form fields as a config.crs object
+function parseLayerCRSFields(body = {}) {
+  const crs = {};
+  getLayers().forEach(({ key }) => {
+    if (body[`${key}_crs`]) crs[key] = body[`${key}_crs`];
+  });
+  return Object.keys(crs).length > 0 ? { crs } : {};
+}
 
-  return results.map((r) => ({
-    project_id: r.project_id,
-    safety_freq: maxBenefit > 0 ? (r.benefit / maxBenefit) * 50 : 0,
-  }));
+// Full settings for a run: defaults with profile and request overrides
+// applied, so a stored run records every value that affected its scores
+function resolveConfig(config = {}) {
+  if (config.explain !== undefined && typeof config.explain !== "boolean") {
+    throw new Error("explain must be true or false");
+  }
+  const settings = {
+    ...config,
+    criteria: resolveCriteria(config.criteria),
+    crs: resolveLayerCRS(config.crs),
+    csv: resolveCsvColumns(config.csv),
+  };
+  getCriteria()
+    .filter((criterion) => criterion.configKey)
+    .forEach(({ configKey, defaults }) => {
+      settings[configKey] = mergeConfig(defaults || {}, config[configKey]);
+    });
+  validateCrashConfig(settings.crash);
+  validateEnvironmentConfig(settings.environment);
+  validateFreightConfig(settings.freight);
+  validateActivityConfig(settings.activity);
+  return settings;
 }
 
-function analyzeSafetyRate(projectsFC, crashesFC) {
-  console.log("\n=== SAFETY RATE ANALYSIS ===");
+// Saved profiles are JSON files in ./profiles with the same shape as config
+const PROFILES_DIR = "./profiles";
+fs.ensureDirSync(PROFILES_DIR);
 
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
+function isValidProfileName(name) {
+  return typeof name === "string" && /^[\w-]+$/.test(name);
+}
 
-    try {
-      // Get benefit from safety frequency analysis
-      const buffer = createBuffer(proj, 250, "feet");
-      const crashesInBuffer = crashesFC.features.filter((crash) => {
-        try {
-          return turf.booleanIntersects(crash, buffer);
-        } catch (error) {
-          return false;
-        }
-      });
+function getProfilePath(name) {
+  return path.join(PROFILES_DIR, `${name}.json`);
+}
 
-      const crashSums = crashesInBuffer.reduce(
-        (sums, crash) => {
-          const props = crash.properties || {};
-          return {
-            K_PEOPLE: sums.K_PEOPLE + (parseFloat(props.K_PEOPLE) || 0),
-            A_PEOPLE: sums.A_PEOPLE + (parseFloat(props.A_PEOPLE) || 0),
-            B_PEOPLE: sums.B_PEOPLE + (parseFloat(props.B_PEOPLE) || 0),
-            C_PEOPLE: sums.C_PEOPLE + (parseFloat(props.C_PEOPLE) || 0),
-          };
-        },
-        { K_PEOPLE: 0, A_PEOPLE: 0, B_PEOPLE: 0, C_PEOPLE: 0 }
-      );
+function loadProfile(name) {
+  if (!isValidProfileName(name)) {
+    throw new Error(`Invalid profile name: ${name}`);
+  }
+  const profilePath = getProfilePath(name);
+  if (!fs.existsSync(profilePath)) {
+    throw new Error(`Profile not found: ${name}`);
+  }
+  return parseAnalysisConfig(fs.readJsonSync(profilePath));
+}
 
-      const EPDO =
-        crashSums.K_PEOPLE * 2715000 +
-        crashSums.A_PEOPLE * 2715000 +
-        crashSums.B_PEOPLE * 300000 +
-        crashSums.C_PEOPLE * 170000;
-
-      const cmf = parseFloat(proj.properties.cmf) || 0;
-      const benefit = EPDO * (1 - cmf);
-
-      // Calculate VMT based on project type
-      const projectType = (proj.properties.type || "highway").toLowerCase();
-      const AADT = parseFloat(proj.properties.AADT) || 0;
-      const length = parseFloat(proj.properties.length) || 1;
-
-      let vmt = 1;
-      if (projectType === "highway") {
-        vmt = (AADT * length * 365) / 100000000;
-      } else if (projectType === "intersection") {
-        vmt = (AADT * 365) / 1000000;
+function listProfiles() {
+  return fs
+    .readdirSync(PROFILES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      const name = path.basename(file, ".json");
+      try {
+        const profile = fs.readJsonSync(getProfilePath(name));
+        return { name, description: profile.description || "" };
+      } catch (error) {
+        return { name, description: "", error: error.message };
       }
+    });
+}
 
-      const epdoRate = vmt > 0 ? benefit / vmt : 0;
-      console.log(`Project ${projectId}: VMT=${vmt}, epdoRate=${epdoRate}`);
+// Columns of the criteria a scoring config enables
+function getEnabledColumns(settings) {
+  return getCriteria()
+    .map(({ column }) => column)
+    .filter((column) => settings.criteria[column].enabled);
+}
 
-      return { project_id: projectId, epdo_rate: epdoRate };
-    } catch (error) {
-      console.error(`Error processing project ${projectId}:`, error);
-      return { project_id: projectId, epdo_rate: 0 };
-    }
-  });
+// Spatial metrics for a dataset: project properties plus each criterion's raw
+// result rows. This is the expensive part of a run; scoring the metrics is
+// cheap, so one set of metrics can be scored under several configs.
+// `hooks.onProgress(name, status)` is called as each criterion finishes and
+// `hooks.signal` (an AbortSignal) cancels the run
+async function computeMetrics(
+  filePaths,
+  settings,
+  hooks = {},
+  columns = getEnabledColumns(settings)
+) {
+  const { onProgress, signal } = hooks;
+  const warnings = [];
 
-  const maxRate = Math.max(0.0001, ...results.map((r) => r.epdo_rate));
-  console.log(`Max epdo_rate: ${maxRate}`);
+  // Load every layer a registered criterion reads
+  const files = loadLayers(filePaths, settings, warnings);
 
-  return results.map((r) => ({
-    project_id: r.project_id,
-    safety_rate: maxRate > 0 ? (r.epdo_rate / maxRate) * 50 : 0,
-  }));
-}
+  // Debug: Check what data we have
+  debugData(files);
 
-function analyzeCongestionDemand(projectsFC, aadtFC) {
-  console.log("\n=== CONGESTION DEMAND ANALYSIS ===");
+  // Schema problems are reported but do not stop the run
+  warnings.push(
+    ...formatIssues(validateLayers(files, filePaths, getLayers(), settings))
+  );
 
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
+  // Default missing project properties; project ids were set while loading
+  files.projects.features = files.projects.features.map((feat) => {
+    // Phased costs, when given, also stand in for a missing cost_mil
+    const phases = getPhaseCosts(feat.properties);
+    const phaseTotal = phases.PE + phases.RW + phases.CN;
+    const costMil = parseFloat(feat.properties.cost_mil) || phaseTotal || 1;
 
-    try {
-      // Create 0.25 mile buffer
-      const buffer = createBuffer(proj, 0.25, "miles");
-
-      // Find AADT segments within buffer
-      const intersected = aadtFC.features.filter((seg) => {
-        try {
-          return turf.booleanIntersects(seg, buffer);
-        } catch (error) {
-          return false;
-        }
-      });
+    return {
+      ...feat,
+      properties: {
+        ...feat.properties,
+        // Ensure required properties exist
+        type: feat.properties.type || "unknown",
+        county: feat.properties.county || "unknown",
+        cost_mil: costMil,
+        phases: phaseTotal > 0 ? phases : { PE: 0, RW: 0, CN: costMil },
+        tier: feat.properties.tier || "unknown",
+        fc: feat.properties.fc || "MC",
+        cmf: parseFloat(feat.properties.cmf) || 0,
+        AADT: parseFloat(feat.properties.AADT) || 0,
+        length: parseFloat(feat.properties.length) || 1,
+      },
+    };
+  });
 
-      console.log(
-        `Project ${projectId}: Found ${intersected.length} AADT segments`
-      );
+  const crashWindow = selectCrashWindow(files.crashes, settings.crash);
+  if (files.crashes.features.length > 0 && !crashWindow.crashes.length) {
+    warnings.push("crashes: no crashes fall inside the crash-year window");
+  }
 
-      let totalVMT = 0;
-      let totalLength = 0;
-
-      intersected.forEach((seg) => {
-        try {
-          const aadt =
-            parseFloat(seg.properties.aadt_0 || seg.properties.AADT) || 0;
-          const lengthMiles = turf.length(seg, { units: "miles" }) || 0;
-          totalVMT += aadt * lengthMiles;
-          totalLength += lengthMiles;
-        } catch (error) {
-          console.error("Error processing AADT segment:", error);
-        }
-      });
+  const criteriaToRun = getCriteria().filter(({ column }) =>
+    columns.includes(column)
+  );
 
-      const waAadt = totalLength > 0 ? totalVMT / totalLength : 0;
-      console.log(`Project ${projectId}: waAadt=${waAadt}`);
+  // Run analyses in parallel on the worker pool. The layers are shared so
+  // each worker receives them once and its layer caches serve every task.
+  const layersId = analysisPool.share(files);
+  const outcomes = await Promise.allSettled(
+    criteriaToRun.map((criterion) => {
+      const { column } = criterion;
+      console.log(`\nRunning ${column}...`);
+      const args = criterion.configKey ? [settings[criterion.configKey]] : [];
+
+      const task = analysisPool.run(
+        criterion.module,
+        criterion.run,
+        args,
+        signal,
+        { id: layersId, keys: criterion.layers }
+      );
+      task.then(
+        () => onProgress?.(column, "completed"),
+        () => onProgress?.(column, "failed")
+      );
+      return task;
+    })
+  );
+  analysisPool.release(layersId);
 
-      return { project_id: projectId, wa_aadt: waAadt };
-    } catch (error) {
-      console.error(`Error processing project ${projectId}:`, error);
-      return { project_id: projectId, wa_aadt: 0 };
+  if (signal?.aborted) {
+    throw new Error("Analysis cancelled");
+  }
+
+  const rows = {};
+  outcomes.forEach((outcome, i) => {
+    const { column } = criteriaToRun[i];
+    if (outcome.status === "rejected") {
+      console.error(`Error in ${column}:`, outcome.reason);
+      warnings.push(`${column}: analysis failed (${outcome.reason?.message})`);
+      return;
     }
+    console.log(`${column} results:`, outcome.value);
+    rows[column] = outcome.value;
   });
 
-  const maxAadt = Math.max(0.0001, ...results.map((r) => r.wa_aadt));
-  console.log(`Max wa_aadt: ${maxAadt}`);
-
-  return results.map((r) => ({
-    project_id: r.project_id,
-    cong_demand: maxAadt > 0 ? (r.wa_aadt / maxAadt) * 10 : 0,
-  }));
+  return {
+    projects: files.projects.features.map((feat) => feat.properties),
+    rows,
+    crashWindow,
+    warnings,
+  };
 }
 
-function analyzeCongestionLos(projectsFC, aadtFC) {
-  console.log("\n=== CONGESTION LOS ANALYSIS ===");
-
-  const losMapping = { A: 0, B: 1, C: 2, D: 3, E: 3, F: 3 };
-
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
-
-    try {
-      const buffer = createBuffer(proj, 0.25, "miles");
-      const intersected = aadtFC.features.filter((seg) => {
-        try {
-          return turf.booleanIntersects(seg, buffer);
-        } catch (error) {
-          return false;
-        }
-      });
+// Normalize, weight and rank a dataset's metrics under a scoring config
+function scoreMetrics(metrics, settings) {
+  const { crashWindow } = metrics;
+  const registered = getCriteria();
+  const { criteria } = settings;
+
+  // Initialize results
+  const resultsMap = new Map();
+  metrics.projects.forEach((props) => {
+    resultsMap.set(props.project_id, {
+      ...props,
+      // Initialize all scores to non-zero values for testing
+      ...Object.fromEntries(registered.map(({ column }) => [column, 1])),
+    });
+  });
 
-      const sumCongValue = intersected.reduce((sum, seg) => {
-        const los = (seg.properties.los_0 || "A").toUpperCase();
-        return sum + (losMapping[los] || 0);
-      }, 0);
+  // Disabled criteria are not scored; merge in registry order
+  const enabledCriteria = registered.filter(
+    (criterion) => criteria[criterion.column].enabled
+  );
+  enabledCriteria.forEach((criterion) => {
+    const { column } = criterion;
+    const result = metrics.rows[column];
+    if (!result) return;
+
+    const scores = normalizeCriterion(
+      result.map((row) => row[criterion.rawField]),
+      criteria[column].normalization,
+      criteria[column].max_points,
+      criterion.lowerIsBetter
+    );
+    result.forEach((row, j) => {
+      const pid = row.project_id;
+      if (resultsMap.has(pid)) {
+        const project = resultsMap.get(pid);
+        resultsMap.set(pid, {
+          ...project,
+          ...Object.fromEntries(
+            criterion.extraColumns.map((col) => [col, row[col]])
+          ),
+          [column]: scores[j],
+          explain: { ...project.explain, [column]: row.explain },
+        });
+      }
+    });
+  });
 
-      console.log(`Project ${projectId}: sum_cong_value=${sumCongValue}`);
+  // Calculate totals and rankings
+  let finalData = Array.from(resultsMap.values());
+  const scoreColumns = registered.map(({ column }) => column);
+  const extraColumns = registered.flatMap(
+    (criterion) => criterion.extraColumns
+  );
 
-      return { project_id: projectId, sum_cong_value: sumCongValue };
-    } catch (error) {
-      console.error(`Error processing project ${projectId}:`, error);
-      return { project_id: projectId, sum_cong_value: 0 };
-    }
+  // Disabled criteria score zero; weights apply to the total
+  finalData = finalData.map((project) => {
+    scoreColumns.forEach((col) => {
+      project[col] = criteria[col].enabled ? parseFloat(project[col] || 0) : 0;
+    });
+    project.total_score = scoreColumns.reduce(
+      (sum, col) =>
+        criteria[col].enabled ? sum + project[col] * criteria[col].weight : sum,
+      0
+    );
+    project.cost_mil = parseFloat(project.cost_mil || 1);
+    project.bcr =
+      project.cost_mil > 0 ? project.total_score / project.cost_mil : 0;
+    return project;
   });
 
-  const maxSum = Math.max(0.0001, ...results.map((r) => r.sum_cong_value));
-  console.log(`Max sum_cong_value: ${maxSum}`);
+  // Sort by BCR and assign ranks
+  finalData.sort((a, b) => b.bcr - a.bcr);
+  finalData.forEach((proj, i) => {
+    proj.rank = i + 1;
+  });
 
-  return results.map((r) => ({
-    project_id: r.project_id,
-    cong_los: maxSum > 0 ? (r.sum_cong_value / maxSum) * 5 : 0,
+  // Prepare response
+  const results = finalData.map((proj) => ({
+    project_id: proj.project_id,
+    type: proj.type,
+    county: proj.county,
+    cost_mil: proj.cost_mil,
+    phases: proj.phases,
+    tier: proj.tier,
+    ...Object.fromEntries(scoreColumns.map((col) => [col, proj[col]])),
+    ...Object.fromEntries(extraColumns.map((col) => [col, proj[col] || 0])),
+    total_score: proj.total_score,
+    bcr: proj.bcr,
+    rank: proj.rank,
+    // Opt-in: the raw inputs behind each criterion's score
+    ...(settings.explain && { explain: proj.explain || {} }),
   }));
+
+  return {
+    projects: results,
+    summary: {
+      total_projects: results.length,
+      total_cost: finalData.reduce((sum, p) => sum + p.cost_mil, 0),
+      crash_years: {
+        start: crashWindow.firstYear,
+        end: crashWindow.lastYear,
+        span: crashWindow.yearSpan,
+        annualized: isAnnualized(settings.crash),
+        crashes: crashWindow.crashes.length,
+      },
+      criteria,
+      // Normalization method applied to each criterion that was run
+      normalization: Object.fromEntries(
+        enabledCriteria.map(({ column }) => [
+          column,
+          criteria[column].normalization,
+        ])
+      ),
+    },
+  };
 }
 
-// ✅ FIXED: analyzeEquityAccessJobs
-function analyzeEquityAccessJobs(projectsFC, popempFC) {
-  console.log("\n=== EQUITY ACCESS JOBS ANALYSIS ===");
+async function runAnalysis(filePaths, outputDir, config = {}, hooks = {}) {
+  const settings = resolveConfig(config);
+  console.log("Starting highway projects analysis...");
 
-  // DEBUG TAZ DATA FIRST
-  debugTAZData(popempFC, "POPEMP/TAZ");
+  try {
+    const metrics = await computeMetrics(filePaths, settings, hooks);
+    const scored = scoreMetrics(metrics, settings);
 
-  const fcDistancesMiles = { PA: 10, MA: 7.5, MC: 5 };
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
+    console.log("\n=== FINAL RESULTS ===");
+    console.log(JSON.stringify(scored.projects, null, 2));
 
-    try {
-      const fc = proj.properties.fc || "MC";
-      const bufferDistMiles = fcDistancesMiles[fc] || 5;
-      const buffer = createBuffer(proj, bufferDistMiles, "miles");
+    return { ...scored, warnings: metrics.warnings };
+  } catch (error) {
+    console.error("Analysis error:", error);
+    throw error;
+  }
+}
 
-      // USE FIXED FUNCTION
-      const selected = getCentroidsWithin(buffer, popempFC.features);
-      console.log(`Project ${projectId}: Found ${selected.length} VALID TAZs`);
+// Routes
+app.get("/", (req, res) => {
+  res.json({ message: "Welcome to the STBG Project Prioritization API" });
+});
 
-      const sumEmp17 = selected.reduce(
-        (sum, taz) => sum + (parseFloat(taz.properties?.emp17) || 0),
-        0
-      );
-      const sumEmp50 = selected.reduce(
-        (sum, taz) => sum + (parseFloat(taz.properties?.emp50) || 0),
-        0
-      );
+const analyzeUpload = upload.fields(
+  getLayers().map(({ key }) => ({ name: `${key}_file`, maxCount: 1 }))
+);
 
-      const pctChange =
-        sumEmp17 > 0 ? ((sumEmp50 - sumEmp17) / sumEmp17) * 100 : 0;
-      console.log(
-        `Project ${projectId}: emp17=${sumEmp17}, emp50=${sumEmp50}, pct=${pctChange}`
-      );
+// Uploaded file paths and scoring config for an analysis request. Returns
+// { error } with an HTTP status and body when the request is invalid.
+function parseAnalyzeRequest(req) {
+  if (!req.files) {
+    return { error: { status: 400, body: { error: "No files uploaded" } } };
+  }
 
-      return { project_id: projectId, pct_change: pctChange };
-    } catch (error) {
-      console.error(`❌ Project ${projectId} error:`, error.message);
-      return { project_id: projectId, pct_change: 0 };
+  const filePaths = {};
+  Object.keys(req.files).forEach((key) => {
+    if (req.files[key]) {
+      filePaths[key.replace("_file", "")] = req.files[key][0].path;
     }
   });
 
-  const maxPct = Math.max(0.0001, ...results.map((r) => r.pct_change));
-  console.log(`Max pct_change: ${maxPct}`);
+  const requiredFiles = getLayers()
+    .filter((layer) => layer.required)
+    .map((layer) => layer.key);
+  const missingFiles = requiredFiles.filter((file) => !filePaths[file]);
+  if (missingFiles.length > 0) {
+    return {
+      error: {
+        status: 400,
+        body: { error: "Missing required files", missing: missingFiles },
+      },
+    };
+  }
 
-  return results.map((r) => ({
-    project_id: r.project_id,
-    jobs_pc: maxPct > 0 ? (r.pct_change / maxPct) * 5 : 0,
-  }));
+  try {
+    const profile = req.body.profile ? loadProfile(req.body.profile) : {};
+    const config = mergeConfig(
+      mergeConfig(profile, parseAnalysisConfig(req.body.config)),
+      parseLayerCRSFields(req.body)
+    );
+    if (["true", "1"].includes(req.body.explain)) {
+      config.explain = true;
+    }
+    resolveConfig(config);
+    return { filePaths, config, profile: req.body.profile || null };
+  } catch (error) {
+    return {
+      error: {
+        status: 400,
+        body: { error: "Invalid config", details: error.message },
+      },
+    };
+  }
 }
 
-// Add other analysis functions with similar error handling...
-
-function analyzeEquityAccessJobsEJ(projectsFC, popempFC, ejFC) {
-  console.log("\n=== EQUITY ACCESS JOBS EJ ANALYSIS ===");
-  const fcDistancesMiles = { PA: 10, MA: 7.5, MC: 5 };
-
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
+// Run an analysis and store it in the run history with its inputs, the
+// resolved configuration, results and warnings
+async function runAndRecord(filePaths, config, meta = {}) {
+  const { hooks, ...fields } = meta;
+  const inputs = await storeInputs(filePaths);
+  const settings = resolveConfig(config);
+  const outputDir = path.resolve("./uploads");
 
-    try {
-      const fc = proj.properties.fc || "MC";
-      const bufferDistMiles = fcDistancesMiles[fc] || 5;
-      const buffer = createBuffer(proj, bufferDistMiles, "miles");
-
-      // For now, return basic calculation - implement EJ logic later
-      const selected = getCentroidsWithin(buffer, popempFC.features);
-      const sumEmp17 = selected.reduce(
-        (sum, taz) => sum + (parseFloat(taz.properties.emp17) || 0),
-        0
-      );
-      const sumEmp50 = selected.reduce(
-        (sum, taz) => sum + (parseFloat(taz.properties.emp50) || 0),
-        0
-      );
-
-      const pctChange =
-        sumEmp17 > 0 ? ((sumEmp50 - sumEmp17) / sumEmp17) * 100 : 0;
-
-      return { project_id: projectId, pct_change: pctChange };
-    } catch (error) {
-      console.error(`Error processing project ${projectId}:`, error);
-      return { project_id: projectId, pct_change: 0 };
+  try {
+    const result = await runAnalysis(filePaths, outputDir, settings, hooks);
+    const run = await saveRun({
+      ...fields,
+      status: "completed",
+      inputs,
+      config: settings,
+      result,
+      warnings: result.warnings,
+    });
+    return { run_id: run.id, ...result };
+  } catch (error) {
+    if (!hooks?.signal?.aborted) {
+      await saveRun({
+        ...fields,
+        status: "failed",
+        inputs,
+        config: settings,
+        error: error.message,
+        warnings: [],
+      });
     }
-  });
-
-  const maxPct = Math.max(0.0001, ...results.map((r) => r.pct_change));
-  return results.map((r) => ({
-    project_id: r.project_id,
-    jobs_pc_ej: maxPct > 0 ? (r.pct_change / maxPct) * 5 : 0,
-  }));
+    throw error;
+  }
 }
 
-// Simplified versions of other analysis functions for testing
-function analyzeAccessNonWork(projectsFC, popempFC, nwFC) {
-  console.log("\n=== ACCESS NON-WORK ANALYSIS ===");
+app.post("/analyze", analyzeUpload, async (req, res) => {
+  try {
+    const { filePaths, config, profile, error } = parseAnalyzeRequest(req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
 
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
-    return { project_id: projectId, access_nw_norm: Math.random() * 5 }; // Temporary
-  });
+    const results = await runAndRecord(filePaths, config, {
+      source: "analyze",
+      profile,
+    });
 
-  return results;
-}
+    res.json(results);
+  } catch (error) {
+    console.error("Analysis endpoint error:", error);
+    res.status(500).json({ error: "Analysis failed", details: error.message });
+  }
+});
 
-function analyzeAccessNonWorkEJ(projectsFC, popempFC, nwFC, ejFC) {
-  console.log("\n=== ACCESS NON-WORK EJ ANALYSIS ===");
+// Pre-flight check of uploaded layers against their schemas; no scoring runs.
+// Missing required layers are reported as errors rather than rejected.
+app.post("/validate", analyzeUpload, (req, res) => {
+  let settings;
+  try {
+    const profile = req.body.profile ? loadProfile(req.body.profile) : {};
+    settings = resolveConfig(
+      mergeConfig(
+        mergeConfig(profile, parseAnalysisConfig(req.body.config)),
+        parseLayerCRSFields(req.body)
+      )
+    );
+  } catch (error) {
+    return res
+      .status(400)
+      .json({ error: "Invalid config", details: error.message });
+  }
 
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
-    return { project_id: projectId, access_nw_ej_norm: Math.random() * 5 }; // Temporary
+  const filePaths = {};
+  Object.keys(req.files || {}).forEach((key) => {
+    filePaths[key.replace("_file", "")] = req.files[key][0].path;
   });
 
-  return results;
-}
+  const layers = getLayers();
+  const files = loadLayers(filePaths, settings);
+  const reports = validateLayers(files, filePaths, layers, settings);
+  Object.entries(reports).forEach(([key, report]) => {
+    const info = getLoadInfo(files[key]);
+    report.crs = info?.crs || null;
+    report.skipped_rows = info?.skipped_rows || [];
+    report.repairs = info?.repairs || null;
+    if (info?.error) report.errors.push(`could not be read: ${info.error}`);
+    else if (info && !info.known) {
+      report.errors.push(getUnknownCRSMessage(key, info.crs));
+    }
+  });
 
-function analyzeSensitiveFeatures(projectsFC, fhzFC, frskFC, wetFC, conFC) {
-  console.log("\n=== SENSITIVE FEATURES ANALYSIS ===");
+  res.json({
+    valid: Object.values(reports).every((r) => r.errors.length === 0),
+    layers: reports,
+  });
+});
 
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
-    const tier = (proj.properties.tier || "").toUpperCase();
+// Scenarios are { name, profile, config } applied on top of the request's own
+// profile and config. Spatial metrics are computed once for all of them, so
+// scenarios may only differ in their criteria settings.
+const MAX_SCENARIOS = 20;
 
-    // Simple tier-based scoring for testing
-    let envScore = 10;
-    if (tier === "EIS") envScore = 5;
-    else if (tier === "EA") envScore = 7;
-    else if (tier === "CE") envScore = 9;
+function parseScenarios(raw, baseConfig) {
+  const list = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!Array.isArray(list) || list.length < 2 || list.length > MAX_SCENARIOS) {
+    throw new Error(`scenarios must be an array of 2 to ${MAX_SCENARIOS}`);
+  }
 
-    return { project_id: projectId, env_impact_score: envScore };
+  const base = resolveConfig(baseConfig);
+  const names = new Set();
+  return list.map((scenario, i) => {
+    if (!isPlainObject(scenario)) {
+      throw new Error(`scenario ${i + 1} must be an object`);
+    }
+    const name = String(scenario.name || `scenario_${i + 1}`);
+    if (names.has(name)) {
+      throw new Error(`Duplicate scenario name: ${name}`);
+    }
+    names.add(name);
+
+    const profile = scenario.profile ? loadProfile(scenario.profile) : {};
+    const settings = resolveConfig(
+      mergeConfig(
+        mergeConfig(baseConfig, profile),
+        parseAnalysisConfig(scenario.config)
+      )
+    );
+    getCriteria()
+      .filter((criterion) => criterion.configKey)
+      .forEach(({ configKey }) => {
+        if (
+          JSON.stringify(settings[configKey]) !==
+          JSON.stringify(base[configKey])
+        ) {
+          throw new Error(
+            `${name}: ${configKey} settings cannot vary between scenarios`
+          );
+        }
+      });
+    return { name, profile: scenario.profile || null, settings };
   });
-
-  return results;
 }
 
-function analyzeJobGrowth(projectsFC, popempFC) {
-  console.log("\n=== JOB GROWTH ANALYSIS ===");
+// Score one upload under several scenarios and compare the rankings
+app.post("/scenarios", analyzeUpload, async (req, res) => {
+  try {
+    const { filePaths, config, error } = parseAnalyzeRequest(req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
 
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
-    return { project_id: projectId, job_growth_score: Math.random() * 10 }; // Temporary
-  });
+    let scenarios;
+    try {
+      scenarios = parseScenarios(req.body.scenarios, config);
+    } catch (err) {
+      return res
+        .status(400)
+        .json({ error: "Invalid scenarios", details: err.message });
+    }
 
-  return results;
-}
+    // Run every criterion that at least one scenario enables
+    const columns = getCriteria()
+      .map(({ column }) => column)
+      .filter((column) =>
+        scenarios.some(({ settings }) => settings.criteria[column].enabled)
+      );
+    const metrics = await computeMetrics(
+      filePaths,
+      resolveConfig(config),
+      {},
+      columns
+    );
 
-// ✅ FIXED: analyzeFreightJobs (for LEHD file)
-function analyzeFreightJobs(projectsFC, lehdFC) {
-  console.log("\n=== FREIGHT JOBS ANALYSIS ===");
+    const scored = scenarios.map(({ name, profile, settings }) => ({
+      name,
+      profile,
+      ...scoreMetrics(metrics, settings),
+    }));
 
-  debugTAZData(lehdFC, "LEHD/FREIGHT");
+    res.json({
+      scenarios: scored,
+      comparison: compareScenarios(scored),
+      warnings: metrics.warnings,
+    });
+  } catch (error) {
+    console.error("Scenario endpoint error:", error);
+    res
+      .status(500)
+      .json({ error: "Scenario comparison failed", details: error.message });
+  }
+});
 
-  const bufferDist = 5; // miles
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
+// Monte Carlo sensitivity of the rankings for one upload. The `sensitivity`
+// field sets iterations, top_k, seed and the +/- ranges applied to weights,
+// crash costs and cost_mil.
+app.post("/sensitivity", analyzeUpload, async (req, res) => {
+  try {
+    const { filePaths, config, error } = parseAnalyzeRequest(req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
 
+    let options;
     try {
-      const buffer = createBuffer(proj, bufferDist, "miles");
-      const selected = getCentroidsWithin(buffer, lehdFC.features);
-
-      console.log(
-        `Project ${projectId}: freight_jobs=${selected.length} VALID`
+      options = resolveSensitivityOptions(
+        parseAnalysisConfig(req.body.sensitivity)
       );
-
-      return {
-        project_id: projectId,
-        freight_jobs: selected.length,
-      };
-    } catch (error) {
-      console.error(`❌ Freight ${projectId} error:`, error.message);
-      return { project_id: projectId, freight_jobs: 0 };
+    } catch (err) {
+      return res
+        .status(400)
+        .json({ error: "Invalid sensitivity options", details: err.message });
     }
-  });
 
-  const maxJobs = Math.max(0.0001, ...results.map((r) => r.freight_jobs));
-  console.log(`Max freight_jobs: ${maxJobs}`);
+    // Stop working on the run if the client goes away
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    const hooks = { signal: controller.signal };
+
+    const settings = resolveConfig(config);
+    const metrics = await computeMetrics(filePaths, settings, hooks);
+    const sensitivity = await runSensitivity(
+      metrics,
+      settings,
+      options,
+      scoreMetrics,
+      hooks
+    );
 
-  return results.map((r) => ({
-    project_id: r.project_id,
-    freight_score: maxJobs > 0 ? (r.freight_jobs / maxJobs) * 10 : 0,
-  }));
-}
+    res.json({ ...sensitivity, warnings: metrics.warnings });
+  } catch (error) {
+    if (res.destroyed) {
+      console.log(`Sensitivity run stopped: ${error.message}`);
+      return;
+    }
+    console.error("Sensitivity endpoint error:", error);
+    res
+      .status(500)
+      .json({ error: "Sensitivity analysis failed", details: error.message });
+  }
+});
 
-// ✅ FIXED: analyzeActivityCenters
-function analyzeActivityCenters(projectsFC, actvFC) {
-  console.log("\n=== ACTIVITY CENTERS ANALYSIS ===");
+// Asynchronous analysis jobs: submit, poll, stream progress, cancel
+app.post("/jobs", analyzeUpload, (req, res) => {
+  const { filePaths, config, profile, error } = parseAnalyzeRequest(req);
+  if (error) {
+    return res.status(error.status).json(error.body);
+  }
 
-  debugTAZData(actvFC, "ACTIVITY");
+  const { criteria } = resolveConfig(config);
+  const job = createJob(
+    getCriteria()
+      .map(({ column }) => column)
+      .filter((name) => criteria[name].enabled)
+  );
+  runJob(job, (hooks) =>
+    runAndRecord(filePaths, config, { source: "job", profile, hooks })
+  );
 
-  const bufferDist = 2; // miles
-  const results = projectsFC.features.map((proj, i) => {
-    const projectId = proj.properties.project_id || i + 1;
+  res.status(202).json({
+    job_id: job.id,
+    status: job.status,
+    status_url: `/jobs/${job.id}`,
+    events_url: `/jobs/${job.id}/events`,
+  });
+});
 
-    try {
-      const buffer = createBuffer(proj, bufferDist, "miles");
-      const selected = getCentroidsWithin(buffer, actvFC.features);
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(jobSnapshot(job));
+});
 
-      console.log(`Project ${projectId}: actv_count=${selected.length} VALID`);
+// Server-Sent Events: a "status" snapshot on connect, "progress" as each
+// criterion finishes, then one of "completed", "failed" or "cancelled"
+app.get("/jobs/:id/events", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
 
-      return {
-        project_id: projectId,
-        actv_count: selected.length,
-      };
-    } catch (error) {
-      console.error(`❌ Activity ${projectId} error:`, error.message);
-      return { project_id: projectId, actv_count: 0 };
-    }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
   });
 
-  const maxCount = Math.max(0.0001, ...results.map((r) => r.actv_count));
-  console.log(`Max actv_count: ${maxCount}`);
+  const send = ({ event, data }) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-  return results.map((r) => ({
-    project_id: r.project_id,
-    activity_score: maxCount > 0 ? (r.actv_count / maxCount) * 10 : 0,
-  }));
-}
+  if (isFinished(job)) {
+    send({ event: job.status, data: jobSnapshot(job) });
+    return res.end();
+  }
+  send({ event: "status", data: jobSnapshot(job) });
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  const onEvent = (message) => {
+    send(message);
+    if (isFinished(job)) cleanup();
+  };
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.events.off("event", onEvent);
+    res.end();
+  };
+
+  job.events.on("event", onEvent);
+  req.on("close", cleanup);
+});
 
-// Add this helper function
-function cleanGeoJSON(fc, name) {
-  const cleaned = fc.features.filter((feat) => {
-    try {
-      if (!feat.geometry?.coordinates) return false;
-      const valid = feat.geometry.coordinates.every(
-        (coord) =>
-          Array.isArray(coord) && coord.every((c) => typeof c === "number")
-      );
-      if (!valid)
-        console.log(`🧹 Cleaned invalid ${name}:`, feat.geometry.coordinates);
-      return valid;
-    } catch {
-      return false;
-    }
-  });
-  console.log(
-    `🧹 ${name}: Kept ${cleaned.length}/${fc.features.length} features`
-  );
-  return turf.featureCollection(cleaned);
-}
+app.delete("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (!cancelJob(job)) {
+    return res
+      .status(409)
+      .json({ error: `Job already ${job.status}`, ...jobSnapshot(job) });
+  }
+  res.json(jobSnapshot(job));
+});
 
-async function runAnalysis(filePaths, outputDir) {
-  console.log("Starting highway projects analysis...");
+// Scoring profiles
+app.get("/profiles", (req, res) => {
+  res.json({ profiles: listProfiles() });
+});
 
+app.get("/profiles/:name", (req, res) => {
   try {
-    // Load all files
-    const files = {
-      projects: loadGeoJSON(filePaths.projects),
-      crashes: loadGeoJSON(filePaths.crashes),
-      aadt: loadGeoJSON(filePaths.aadt),
-      popemp: loadGeoJSON(filePaths.popemp),
-      t6: loadGeoJSON(filePaths.t6),
-      nw: loadGeoJSON(filePaths.nw),
-      fhz: loadGeoJSON(filePaths.fhz),
-      frsk: loadGeoJSON(filePaths.frsk),
-      wet: loadGeoJSON(filePaths.wet),
-      con: loadGeoJSON(filePaths.con),
-      lehd: filePaths.lehd
-        ? loadGeoJSON(filePaths.lehd)
-        : turf.featureCollection([]),
-      actv: filePaths.actv
-        ? loadGeoJSON(filePaths.actv)
-        : turf.featureCollection([]),
-    };
+    const profile = loadProfile(req.params.name);
+    res.json({ name: req.params.name, ...profile });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
 
-    // Debug: Check what data we have
-    debugData(files);
+// Create or replace a profile. The body has the same shape as the analyze
+// "config" field, e.g. { "criteria": { "safety_freq": { "max_points": 40 } } }
+app.put("/profiles/:name", (req, res) => {
+  const { name } = req.params;
+  if (!isValidProfileName(name)) {
+    return res.status(400).json({ error: `Invalid profile name: ${name}` });
+  }
 
-    // Clean GeoJSON files
-    files.popemp = cleanGeoJSON(files.popemp, "POPEMP");
-    files.lehd = cleanGeoJSON(files.lehd, "LEHD");
-    files.actv = cleanGeoJSON(files.actv, "ACTIVITY");
+  let profile;
+  try {
+    profile = parseAnalysisConfig(req.body);
+    resolveConfig(profile);
+  } catch (error) {
+    return res
+      .status(400)
+      .json({ error: "Invalid profile", details: error.message });
+  }
 
-    // Add project_id if not present
-    files.projects.features = files.projects.features.map((feat, i) => ({
-      ...feat,
-      properties: {
-        ...feat.properties,
-        project_id: feat.properties.project_id || i + 1,
-        // Ensure required properties exist
-        type: feat.properties.type || "unknown",
-        county: feat.properties.county || "unknown",
-        cost_mil: parseFloat(feat.properties.cost_mil) || 1,
-        tier: feat.properties.tier || "unknown",
-        fc: feat.properties.fc || "MC",
-        cmf: parseFloat(feat.properties.cmf) || 0,
-        AADT: parseFloat(feat.properties.AADT) || 0,
-        length: parseFloat(feat.properties.length) || 1,
-      },
-    }));
+  const existed = fs.existsSync(getProfilePath(name));
+  fs.writeJsonSync(getProfilePath(name), profile, { spaces: 2 });
+  res.status(existed ? 200 : 201).json({ name, ...profile });
+});
 
-    // Run analyses
-    const analyses = [
-      {
-        name: "safety_freq",
-        fn: analyzeSafetyFrequency,
-        args: [files.projects, files.crashes],
-      },
-      {
-        name: "safety_rate",
-        fn: analyzeSafetyRate,
-        args: [files.projects, files.crashes],
-      },
-      {
-        name: "cong_demand",
-        fn: analyzeCongestionDemand,
-        args: [files.projects, files.aadt],
-      },
-      {
-        name: "cong_los",
-        fn: analyzeCongestionLos,
-        args: [files.projects, files.aadt],
-      },
-      {
-        name: "jobs_pc",
-        fn: analyzeEquityAccessJobs,
-        args: [files.projects, files.popemp],
-      },
-      {
-        name: "jobs_pc_ej",
-        fn: analyzeEquityAccessJobsEJ,
-        args: [files.projects, files.popemp, files.t6],
-      },
-      {
-        name: "access_nw_norm",
-        fn: analyzeAccessNonWork,
-        args: [files.projects, files.popemp, files.nw],
-      },
-      {
-        name: "access_nw_ej_norm",
-        fn: analyzeAccessNonWorkEJ,
-        args: [files.projects, files.popemp, files.nw, files.t6],
-      },
-      {
-        name: "env_impact_score",
-        fn: analyzeSensitiveFeatures,
-        args: [files.projects, files.fhz, files.frsk, files.wet, files.con],
-      },
-      {
-        name: "job_growth_score",
-        fn: analyzeJobGrowth,
-        args: [files.projects, files.popemp],
-      },
-      {
-        name: "freight_score",
-        fn: analyzeFreightJobs, // ✅ FIXED
-        args: [files.projects, files.lehd],
-      },
-      {
-        name: "activity_score",
-        fn: analyzeActivityCenters, // ✅ FIXED
-        args: [files.projects, files.actv],
-      },
-    ];
+app.delete("/profiles/:name", (req, res) => {
+  const { name } = req.params;
+  if (!isValidProfileName(name) || !fs.existsSync(getProfilePath(name))) {
+    return res.status(404).json({ error: `Profile not found: ${name}` });
+  }
+  fs.removeSync(getProfilePath(name));
+  res.status(204).end();
+});
 
-    // Initialize results
-    const resultsMap = new Map();
-    files.projects.features.forEach((feat) => {
-      const pid = feat.properties.project_id;
-      resultsMap.set(pid, {
-        ...feat.properties,
-        geometry: feat.geometry,
-        // Initialize all scores to non-zero values for testing
-        safety_freq: 1,
-        safety_rate: 1,
-        cong_demand: 1,
-        cong_los: 1,
-        jobs_pc: 1,
-        jobs_pc_ej: 1,
-        access_nw_norm: 1,
-        access_nw_ej_norm: 1,
-        env_impact_score: 1,
-        job_growth_score: 1,
-        freight_score: 1,
-        activity_score: 1,
-      });
-    });
+// Run history
+app.get("/runs", async (req, res) => {
+  try {
+    res.json({ runs: await listRuns() });
+  } catch (error) {
+    console.error("List runs error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list runs", details: error.message });
+  }
+});
 
-    // Run analyses
-    for (const analysis of analyses) {
-      console.log(`\nRunning ${analysis.name}...`);
-      try {
-        const result = analysis.fn(...analysis.args);
-        console.log(`${analysis.name} results:`, result);
-
-        result.forEach((res) => {
-          const pid = res.project_id;
-          if (resultsMap.has(pid)) {
-            resultsMap.set(pid, { ...resultsMap.get(pid), ...res });
-          }
-        });
-      } catch (error) {
-        console.error(`Error in ${analysis.name}:`, error);
-      }
+app.get("/runs/:id", async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
     }
+    res.json(run);
+  } catch (error) {
+    console.error("Get run error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to load run", details: error.message });
+  }
+});
 
-    // Calculate totals and rankings
-    let finalData = Array.from(resultsMap.values());
-    const scoreColumns = [
-      "safety_freq",
-      "safety_rate",
-      "cong_demand",
-      "cong_los",
-      "jobs_pc",
-      "jobs_pc_ej",
-      "access_nw_norm",
-      "access_nw_ej_norm",
-      "env_impact_score",
-      "job_growth_score",
-      "freight_score",
-      "activity_score",
-    ];
-
-    finalData = finalData.map((project) => {
-      scoreColumns.forEach((col) => {
-        project[col] = parseFloat(project[col] || 0);
-      });
-      project.total_score = scoreColumns.reduce(
-        (sum, col) => sum + project[col],
-        0
-      );
-      project.cost_mil = parseFloat(project.cost_mil || 1);
-      project.bcr =
-        project.cost_mil > 0 ? project.total_score / project.cost_mil : 0;
-      return project;
-    });
+// Repeat a stored run with its stored inputs and resolved configuration and
+// report whether the ranked projects match the original exactly
+app.post("/runs/:id/rerun", async (req, res) => {
+  try {
+    const original = await getRun(req.params.id);
+    if (!original) {
+      return res.status(404).json({ error: "Run not found" });
+    }
 
-    // Sort by BCR and assign ranks
-    finalData.sort((a, b) => b.bcr - a.bcr);
-    finalData.forEach((proj, i) => {
-      proj.rank = i + 1;
+    const filePaths = await getRunInputPaths(original);
+    const results = await runAndRecord(filePaths, original.config, {
+      source: "rerun",
+      profile: original.profile || null,
+      rerun_of: original.id,
     });
 
-    // Prepare response
-    const results = finalData.map((proj) => ({
-      project_id: proj.project_id,
-      type: proj.type,
-      county: proj.county,
-      cost_mil: proj.cost_mil,
-      tier: proj.tier,
-      ...Object.fromEntries(scoreColumns.map((col) => [col, proj[col]])),
-      total_score: proj.total_score,
-      bcr: proj.bcr,
-      rank: proj.rank,
-    }));
-
-    console.log("\n=== FINAL RESULTS ===");
-    console.log(JSON.stringify(results, null, 2));
-
-    return {
-      projects: results,
-      summary: {
-        total_projects: results.length,
-        total_cost: finalData.reduce((sum, p) => sum + p.cost_mil, 0),
-      },
-    };
+    res.json({
+      rerun_of: original.id,
+      reproduced:
+        original.status === "completed" &&
+        JSON.stringify(original.result.projects) ===
+          JSON.stringify(results.projects),
+      ...results,
+    });
   } catch (error) {
-    console.error("Analysis error:", error);
-    throw error;
+    console.error("Rerun error:", error);
+    res.status(500).json({ error: "Rerun failed", details: error.message });
   }
-}
-
-// Routes
-app.get("/", (req, res) => {
-  res.json({ message: "Welcome to the STBG Project Prioritization API" });
 });
 
-app.post(
-  "/analyze",
-  upload.fields([
-    { name: "projects_file", maxCount: 1 },
-    { name: "crashes_file", maxCount: 1 },
-    { name: "aadt_file", maxCount: 1 },
-    { name: "popemp_file", maxCount: 1 },
-    { name: "actv_file", maxCount: 1 },
-    { name: "con_file", maxCount: 1 },
-    { name: "fhz_file", maxCount: 1 },
-    { name: "frsk_file", maxCount: 1 },
-    { name: "lehd_file", maxCount: 1 },
-    { name: "nw_file", maxCount: 1 },
-    { name: "t6_file", maxCount: 1 },
-    { name: "wet_file", maxCount: 1 },
-  ]),
-  async (req, res) => {
-    try {
-      if (!req.files) {
-        return res.status(400).json({ error: "No files uploaded" });
-      }
+// Best set of a stored run's projects under a budget (in millions, like
+// cost_mil) and optional per-county or per-type limits, next to the
+// greedy-by-BCR selection
+app.post("/runs/:id/portfolio", async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    if (run.status !== "completed") {
+      return res.status(409).json({ error: "Run did not complete" });
+    }
 
-      const filePaths = {};
-      Object.keys(req.files).forEach((key) => {
-        if (req.files[key]) {
-          filePaths[key.replace("_file", "")] = req.files[key][0].path;
-        }
-      });
+    const { budget, constraints } = req.body || {};
+    let portfolio;
+    try {
+      portfolio = selectPortfolio(run.result.projects, budget, constraints);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid portfolio request", details: error.message });
+    }
 
-      const requiredFiles = [
-        "projects",
-        "crashes",
-        "aadt",
-        "popemp",
-        "t6",
-        "nw",
-        "fhz",
-        "frsk",
-        "wet",
-        "con",
-      ];
-      const missingFiles = requiredFiles.filter((file) => !filePaths[file]);
-      if (missingFiles.length > 0) {
-        return res
-          .status(400)
-          .json({ error: "Missing required files", missing: missingFiles });
-      }
+    res.json({ run_id: run.id, ...portfolio });
+  } catch (error) {
+    console.error("Portfolio error:", error);
+    res
+      .status(500)
+      .json({ error: "Portfolio selection failed", details: error.message });
+  }
+});
 
-      const outputDir = path.resolve("./uploads");
-      const results = await runAnalysis(filePaths, outputDir);
+// Fiscal-year program for a stored run: ranked projects scheduled under
+// annual caps ({ "2027": 12.5, ... }, in millions), plus the unfunded list
+app.post("/runs/:id/program", async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    if (run.status !== "completed") {
+      return res.status(409).json({ error: "Run did not complete" });
+    }
 
-      res.json(results);
+    const { caps, phase_offsets } = req.body || {};
+    let program;
+    try {
+      program = scheduleProgram(run.result.projects, caps, { phase_offsets });
     } catch (error) {
-      console.error("Analysis endpoint error:", error);
-      res
-        .status(500)
-        .json({ error: "Analysis failed", details: error.message });
+      return res
+        .status(400)
+        .json({ error: "Invalid program request", details: error.message });
     }
+
+    res.json({ run_id: run.id, ...program });
+  } catch (error) {
+    console.error("Program error:", error);
+    res
+      .status(500)
+      .json({ error: "Programming failed", details: error.message });
   }
-);
+});
 
 app.listen(PORT, () => {
   console.log(`STBG API running on port ${PORT}`);
@@ -0,0 +1,298 @@
+const fs = require("fs-extra");
+const path = require("path");
+const zlib = require("zlib");
+
+// Zipped Shapefile reader. A zip holds one .shp with its .dbf and, usually,
+// a .prj and .cpg of the same base name. Geometries are returned as read
+// (Z and M values dropped); reprojection is up to the caller via the .prj.
+const ZIP_SIGNATURE = 0x04034b50;
+const MAX_ENTRY_SIZE = 512 * 1024 * 1024;
+
+function isZipFile(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const header = Buffer.alloc(4);
+    const bytes = fs.readSync(fd, header, 0, 4, 0);
+    return bytes === 4 && header.readUInt32LE(0) === ZIP_SIGNATURE;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Entries of a zip archive as { name: Buffer } from its central directory.
+// Stored and deflated entries are supported; zip64 archives are not.
+function readZipEntries(buffer) {
+  let eocd = -1;
+  for (
+    let i = buffer.length - 22;
+    i >= Math.max(0, buffer.length - 65557);
+    i--
+  ) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("not a zip archive");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff)
+    throw new Error("zip64 archives are not supported");
+
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("corrupt zip central directory");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries[name] = data;
+    } else if (method === 8) {
+      entries[name] = zlib.inflateRawSync(data, {
+        maxOutputLength: MAX_ENTRY_SIZE,
+      });
+    } else {
+      throw new Error(`${name}: unsupported zip compression method ${method}`);
+    }
+  }
+  return entries;
+}
+
+// Twice the signed area, positive for clockwise rings
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[i][0] - ring[j][0]) * (ring[i][1] + ring[j][1]);
+  }
+  return sum;
+}
+
+function ringContains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Shapefile polygons list outer rings clockwise and holes counterclockwise,
+// in any order. GeoJSON wants each hole with its outer ring and the
+// opposite winding.
+function toPolygonGeometry(rings) {
+  const polygons = [];
+  const holes = [];
+  rings.forEach((ring) => {
+    if (ringArea(ring) > 0) polygons.push([ring.slice().reverse()]);
+    else holes.push(ring.slice().reverse());
+  });
+  holes.forEach((hole) => {
+    const owner = polygons.find((polygon) => ringContains(polygon[0], hole[0]));
+    if (owner) owner.push(hole);
+    else polygons.push([hole.slice().reverse()]);
+  });
+  return polygons.length === 1
+    ? { type: "Polygon", coordinates: polygons[0] }
+    : { type: "MultiPolygon", coordinates: polygons };
+}
+
+function readPoints(view, offset, count) {
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    points.push([
+      view.getFloat64(offset + i * 16, true),
+      view.getFloat64(offset + i * 16 + 8, true),
+    ]);
+  }
+  return points;
+}
+
+// One record's geometry; `offset` is the start of its content
+function readShape(view, offset) {
+  const shapeType = view.getInt32(offset, true);
+  if (shapeType === 31) throw new Error("MultiPatch shapes are not supported");
+  switch (shapeType % 10) {
+    case 0:
+      return null;
+    case 1:
+      return { type: "Point", coordinates: readPoints(view, offset + 4, 1)[0] };
+    case 8: {
+      const count = view.getInt32(offset + 36, true);
+      return {
+        type: "MultiPoint",
+        coordinates: readPoints(view, offset + 40, count),
+      };
+    }
+    case 3:
+    case 5: {
+      const numParts = view.getInt32(offset + 36, true);
+      const numPoints = view.getInt32(offset + 40, true);
+      const starts = [];
+      for (let i = 0; i < numParts; i++) {
+        starts.push(view.getInt32(offset + 44 + i * 4, true));
+      }
+      const points = readPoints(view, offset + 44 + numParts * 4, numPoints);
+      const parts = starts.map((start, i) =>
+        points.slice(start, i + 1 < numParts ? starts[i + 1] : numPoints)
+      );
+      if (shapeType % 10 === 5) return toPolygonGeometry(parts);
+      return parts.length === 1
+        ? { type: "LineString", coordinates: parts[0] }
+        : { type: "MultiLineString", coordinates: parts };
+    }
+    default:
+      throw new Error(`unsupported shape type ${shapeType}`);
+  }
+}
+
+function parseShp(buffer) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.length);
+  const fileLength = Math.min(view.getInt32(24, false) * 2, buffer.length);
+  const geometries = [];
+  let offset = 100;
+  while (offset + 8 <= fileLength) {
+    const contentLength = view.getInt32(offset + 4, false) * 2;
+    geometries.push(readShape(view, offset + 8));
+    offset += 8 + contentLength;
+  }
+  return geometries;
+}
+
+// Text decoder for a .cpg code page, e.g. "UTF-8", "1252" or "ISO-8859-1"
+function getDecoder(cpg) {
+  const label = (cpg || "utf-8").trim();
+  try {
+    return new TextDecoder(/^\d+$/.test(label) ? `windows-${label}` : label);
+  } catch (error) {
+    console.warn(`Unknown .cpg encoding ${label}, reading as UTF-8`);
+    return new TextDecoder("utf-8");
+  }
+}
+
+function parseDbfValue(type, text) {
+  const value = text.trim();
+  switch (type) {
+    case "N":
+    case "F": {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case "L":
+      if (/^[TY]$/i.test(value)) return true;
+      if (/^[FN]$/i.test(value)) return false;
+      return null;
+    case "D":
+      return /^\d{8}$/.test(value)
+        ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6)}`
+        : null;
+    default:
+      return value === "" ? null : value;
+  }
+}
+
+// Attribute rows of a .dbf; deleted records are returned as null
+function parseDbf(buffer, decoder) {
+  const count = buffer.readUInt32LE(4);
+  const headerLength = buffer.readUInt16LE(8);
+  const recordLength = buffer.readUInt16LE(10);
+
+  const fields = [];
+  for (
+    let offset = 32;
+    offset + 32 <= headerLength && buffer[offset] !== 0x0d;
+    offset += 32
+  ) {
+    const nameBytes = buffer.subarray(offset, offset + 11);
+    const nameEnd = nameBytes.indexOf(0);
+    fields.push({
+      name: decoder
+        .decode(nameEnd < 0 ? nameBytes : nameBytes.subarray(0, nameEnd))
+        .trim(),
+      type: String.fromCharCode(buffer[offset + 11]),
+      length: buffer[offset + 16],
+    });
+  }
+
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const start = headerLength + i * recordLength;
+    if (buffer[start] === 0x2a) {
+      rows.push(null);
+      continue;
+    }
+    const row = {};
+    let offset = start + 1;
+    fields.forEach((field) => {
+      const text = decoder.decode(
+        buffer.subarray(offset, offset + field.length)
+      );
+      row[field.name] = parseDbfValue(field.type, text);
+      offset += field.length;
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Read a zipped Shapefile as { type: "FeatureCollection", features, prj }.
+// `prj` is the .prj WKT, or null when the zip has none.
+function readShapefileZip(filePath) {
+  const entries = readZipEntries(fs.readFileSync(filePath));
+  const names = Object.keys(entries).filter(
+    (name) => !name.startsWith("__MACOSX/")
+  );
+  const shpName = names.find((name) => /\.shp$/i.test(name));
+  if (!shpName) throw new Error("zip contains no .shp file");
+  if (names.filter((name) => /\.shp$/i.test(name)).length > 1) {
+    console.warn(`${filePath}: several .shp files, reading ${shpName}`);
+  }
+
+  const base = shpName.slice(0, -path.extname(shpName).length).toLowerCase();
+  const sibling = (ext) =>
+    names.find((name) => name.toLowerCase() === `${base}.${ext}`);
+  const dbfName = sibling("dbf");
+  if (!dbfName) throw new Error(`zip has no .dbf for ${shpName}`);
+  const prjName = sibling("prj");
+  const cpgName = sibling("cpg");
+
+  const geometries = parseShp(entries[shpName]);
+  const decoder = getDecoder(cpgName && entries[cpgName].toString("latin1"));
+  const rows = parseDbf(entries[dbfName], decoder);
+
+  const features = [];
+  geometries.forEach((geometry, i) => {
+    if (rows[i] === null) return;
+    features.push({
+      type: "Feature",
+      geometry,
+      properties: rows[i] || {},
+    });
+  });
+
+  return {
+    type: "FeatureCollection",
+    features,
+    prj: prjName ? entries[prjName].toString("utf8").trim() : null,
+  };
+}
+
+module.exports = { isZipFile, readShapefileZip };
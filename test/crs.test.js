@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const proj4 = require("proj4");
+const { detectCRS, toCRS } = require("../crs");
+
+// Esri .prj for NAD83 / Virginia North (ftUS), which carries no EPSG code
+const VIRGINIA_NORTH_PRJ =
+  'PROJCS["NAD_1983_StatePlane_Virginia_North_FIPS_4501_Feet",GEOGCS["GCS_North_American_1983",DATUM["D_North_American_1983",SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Lambert_Conformal_Conic"],PARAMETER["False_Easting",11482916.66666666],PARAMETER["False_Northing",6561666.666666666],PARAMETER["Central_Meridian",-78.5],PARAMETER["Standard_Parallel_1",38.03333333333333],PARAMETER["Standard_Parallel_2",39.2],PARAMETER["Latitude_Of_Origin",37.66666666666666],UNIT["Foot_US",0.3048006096012192]]';
+
+// Zone origins map to the false easting and northing, in US survey feet
+const CONTROL_POINTS = {
+  "EPSG:2283": {
+    lonLat: [-78.5, 37 + 40 / 60],
+    xy: [11482916.667, 6561666.667],
+  },
+  "EPSG:2284": {
+    lonLat: [-78.5, 36 + 20 / 60],
+    xy: [11482916.667, 3280833.333],
+  },
+};
+
+const point = (coordinates) => ({
+  type: "Feature",
+  geometry: { type: "Point", coordinates },
+  properties: {},
+});
+
+function assertClose(actual, expected, tolerance) {
+  actual.forEach((value, i) => {
+    assert.ok(
+      Math.abs(value - expected[i]) <= tolerance,
+      `${actual} is not within ${tolerance} of ${expected}`
+    );
+  });
+}
+
+test("Virginia state plane zones place their origins at the control points", () => {
+  Object.entries(CONTROL_POINTS).forEach(([code, { lonLat, xy }]) => {
+    assertClose(proj4("EPSG:4326", code, lonLat), xy, 0.01);
+    assertClose(proj4(code, "EPSG:4326", xy), lonLat, 1e-8);
+  });
+});
+
+test("reprojects a declared layer to longitude/latitude", () => {
+  const { xy, lonLat } = CONTROL_POINTS["EPSG:2283"];
+  const data = { features: [point(xy)] };
+  const crs = detectCRS(data, "EPSG:2283");
+  assert.equal(crs.epsg, 2283);
+  assert.equal(crs.source, "declared");
+
+  const result = toCRS(data, "EPSG:4326", crs.def);
+  assertClose(result.features[0].geometry.coordinates, lonLat, 1e-8);
+});
+
+test("applies a .prj without an EPSG code as WKT", () => {
+  const richmond = [-77.436, 37.5407];
+  const xy = proj4("EPSG:4326", "EPSG:2283", richmond);
+  const crs = detectCRS({ features: [point(xy)], prj: VIRGINIA_NORTH_PRJ });
+  assert.equal(crs.epsg, null);
+  assert.equal(crs.source, ".prj");
+  assert.equal(crs.name, "NAD_1983_StatePlane_Virginia_North_FIPS_4501_Feet");
+
+  const result = toCRS({ features: [point(xy)] }, "EPSG:4326", crs.def);
+  assertClose(result.features[0].geometry.coordinates, richmond, 1e-7);
+});
+
+test("reads the EPSG code of a .prj that names a registered one", () => {
+  const prj =
+    'PROJCS["WGS 84 / Pseudo-Mercator",GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Mercator_1SP"],PARAMETER["central_meridian",0],PARAMETER["scale_factor",1],PARAMETER["false_easting",0],PARAMETER["false_northing",0],UNIT["metre",1],AUTHORITY["EPSG","3857"]]';
+  const crs = detectCRS({ features: [], prj });
+  assert.equal(crs.epsg, 3857);
+  assert.equal(crs.def, "EPSG:3857");
+});
+
+test("takes unmarked longitude/latitude as WGS84", () => {
+  const crs = detectCRS({ features: [point([-77.4, 37.5])] });
+  assert.equal(crs.epsg, 4326);
+  assert.equal(crs.source, "default");
+});
+
+test("does not guess the CRS of unmarked projected coordinates", () => {
+  const crs = detectCRS({ features: [point([11791456, 6517580])] });
+  assert.equal(crs.epsg, null);
+  assert.equal(crs.source, "unknown");
+  assert.equal(crs.def, null);
+});
+
+test("reports an unregistered EPSG code in a crs member as unknown", () => {
+  const crs = detectCRS({
+    crs: { type: "name", properties: { name: "urn:ogc:def:crs:EPSG::2263" } },
+    features: [point([1000000, 200000])],
+  });
+  assert.equal(crs.epsg, 2263);
+  assert.equal(crs.def, null);
+});
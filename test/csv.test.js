@@ -0,0 +1,160 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseWKT, readCsvLayer } = require("../csv");
+
+function writeCsv(t, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "layer.csv");
+  fs.writeFileSync(filePath, text);
+  return filePath;
+}
+
+test("reads quoted fields with commas, quotes and line breaks", (t) => {
+  const filePath = writeCsv(
+    t,
+    [
+      "name,notes,lat,lon",
+      '"Route 1, north","said ""widen""",37.5,-77.4',
+      '"Main St","two\nlines",37.6,-77.5',
+    ].join("\n")
+  );
+  const { features, skipped } = readCsvLayer(filePath);
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(
+    features.map((feat) => feat.properties),
+    [
+      { name: "Route 1, north", notes: 'said "widen"' },
+      { name: "Main St", notes: "two\nlines" },
+    ]
+  );
+  assert.deepEqual(features[1].geometry, {
+    type: "Point",
+    coordinates: [-77.5, 37.6],
+  });
+});
+
+test("handles CRLF line endings and a byte order mark", (t) => {
+  const filePath = writeCsv(
+    t,
+    '\uFEFFLatitude,Longitude,cost_mil\r\n37.5,-77.4,"1,204"\r\n\r\n37.6,-77.5, 3 \r\n'
+  );
+  const { features } = readCsvLayer(filePath, { numberFields: ["cost_mil"] });
+  assert.equal(features.length, 2);
+  assert.deepEqual(
+    features.map((feat) => feat.properties.cost_mil),
+    [1204, 3]
+  );
+  assert.deepEqual(features[0].geometry.coordinates, [-77.4, 37.5]);
+});
+
+test("numbers features by row and lists skipped rows", (t) => {
+  const filePath = writeCsv(
+    t,
+    [
+      "id,wkt",
+      "a,POINT (1 2)",
+      "b,POINT EMPTY",
+      "c,",
+      "d,LINESTRING (1 2, oops)",
+      "e,POINT (3 4)",
+    ].join("\n")
+  );
+  const { features, skipped } = readCsvLayer(filePath);
+  assert.deepEqual(
+    features.map((feat) => [feat.id, feat.properties.id]),
+    [
+      [1, "a"],
+      [5, "e"],
+    ]
+  );
+  assert.deepEqual(
+    skipped.map(({ row }) => row),
+    [2, 3, 4]
+  );
+  assert.match(skipped[0].reason, /empty/);
+  assert.match(skipped[1].reason, /missing WKT/);
+});
+
+test("uses configured columns over the default names", (t) => {
+  const filePath = writeCsv(t, "lat,lon,Y_COORD,X_COORD\n0,0,37.5,-77.4\n");
+  const { features } = readCsvLayer(filePath, {
+    columns: { lat: "y_coord", lon: "x_coord" },
+  });
+  assert.deepEqual(features[0].geometry.coordinates, [-77.4, 37.5]);
+  assert.deepEqual(features[0].properties, { lat: "0", lon: "0" });
+  assert.throws(
+    () => readCsvLayer(filePath, { columns: { wkt: "shape" } }),
+    /no column "shape"/
+  );
+});
+
+test("parses WKT and EWKT geometries", () => {
+  assert.deepEqual(parseWKT("SRID=4326;POINT (1 2)"), {
+    type: "Point",
+    coordinates: [1, 2],
+  });
+  assert.deepEqual(parseWKT("multipoint ((1 2), (3 4))"), {
+    type: "MultiPoint",
+    coordinates: [
+      [1, 2],
+      [3, 4],
+    ],
+  });
+  assert.deepEqual(parseWKT("MULTIPOINT (1 2, 3 4)"), {
+    type: "MultiPoint",
+    coordinates: [
+      [1, 2],
+      [3, 4],
+    ],
+  });
+  assert.deepEqual(parseWKT("POLYGON ((0 0, 1 0, 1 1, 0 0))"), {
+    type: "Polygon",
+    coordinates: [
+      [
+        [0, 0],
+        [1, 0],
+        [1, 1],
+        [0, 0],
+      ],
+    ],
+  });
+  assert.deepEqual(
+    parseWKT("GEOMETRYCOLLECTION (POINT (1 2), LINESTRING EMPTY)"),
+    {
+      type: "GeometryCollection",
+      geometries: [{ type: "Point", coordinates: [1, 2] }],
+    }
+  );
+});
+
+test("drops Z and M values", () => {
+  assert.deepEqual(parseWKT("POINT Z (1 2 3)").coordinates, [1, 2]);
+  assert.deepEqual(parseWKT("POINT ZM (1 2 3 4)").coordinates, [1, 2]);
+  assert.deepEqual(parseWKT("LINESTRING M (1 2 5, 3 4 6)").coordinates, [
+    [1, 2],
+    [3, 4],
+  ]);
+  assert.deepEqual(parseWKT("POINTZ (1 2 3)").coordinates, [1, 2]);
+  assert.deepEqual(parseWKT("SRID=4326;POINTM (1 2 3)").coordinates, [1, 2]);
+});
+
+test("reads EMPTY geometries as nothing", () => {
+  assert.equal(parseWKT("POINT EMPTY"), null);
+  assert.equal(parseWKT("MULTIPOLYGON Z EMPTY"), null);
+  assert.deepEqual(parseWKT("GEOMETRYCOLLECTION EMPTY"), {
+    type: "GeometryCollection",
+    geometries: [],
+  });
+});
+
+test("rejects malformed WKT", () => {
+  assert.throws(() => parseWKT("CIRCLE (1 2)"), /unknown WKT geometry/);
+  assert.throws(() => parseWKT("POINT (1)"), /x and y/);
+  assert.throws(() => parseWKT("LINESTRING (1 2, 3 4"), /expected "\)"/);
+  assert.throws(() => parseWKT("POLYGON (1 2, 3 4)"), /malformed Polygon/);
+  assert.throws(() => parseWKT("POINT (1 2) extra"), /unexpected text/);
+});
@@ -0,0 +1,18 @@
+// Task functions for the worker pool tests, loaded on the workers
+
+// Busy-waits so the task holds its worker until it is cancelled
+function spin(ms) {
+  const end = Date.now() + ms;
+  while (Date.now() < end);
+  return ms;
+}
+
+function echo(value) {
+  return value;
+}
+
+function exit(code) {
+  process.exit(code);
+}
+
+module.exports = { spin, echo, exit };
@@ -0,0 +1,197 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { repairLayer, formatRepairs } = require("../geometry");
+
+const feature = (geometry, properties = {}) => ({
+  type: "Feature",
+  geometry,
+  properties,
+});
+
+const layer = (...geometries) => ({
+  type: "FeatureCollection",
+  features: geometries.map((geometry, i) => feature(geometry, { id: i })),
+});
+
+const SQUARE = [
+  [0, 0],
+  [10, 0],
+  [10, 10],
+  [0, 10],
+  [0, 0],
+];
+const HOLE = [
+  [2, 2],
+  [2, 4],
+  [4, 4],
+  [4, 2],
+  [2, 2],
+];
+
+test("drops features without geometry and lists their indexes", () => {
+  const fc = layer(
+    { type: "Point", coordinates: [1, 2] },
+    null,
+    { type: "LineString", coordinates: [[1, 2]] },
+    { type: "Circle", coordinates: [0, 0] },
+    { type: "Point", coordinates: [3, 4] }
+  );
+  const { fc: repaired, summary } = repairLayer(fc);
+  assert.deepEqual(
+    repaired.features.map((feat) => feat.properties.id),
+    [0, 4]
+  );
+  assert.deepEqual(summary, {
+    features: 5,
+    kept: 2,
+    dropped: [1, 2, 3],
+    fixes: {
+      null_geometry: 1,
+      degenerate_parts: 1,
+      empty_geometry: 1,
+      unsupported_geometry: 1,
+    },
+  });
+});
+
+test("closes unclosed rings", () => {
+  const { fc, summary } = repairLayer(
+    layer({ type: "Polygon", coordinates: [SQUARE.slice(0, -1)] })
+  );
+  assert.deepEqual(fc.features[0].geometry.coordinates, [SQUARE]);
+  assert.deepEqual(summary.fixes, { closed_rings: 1 });
+});
+
+test("removes consecutive duplicate vertices", () => {
+  const { fc, summary } = repairLayer(
+    layer({
+      type: "LineString",
+      coordinates: [
+        [0, 0],
+        [0, 0],
+        [1, 1],
+        [1, 1],
+        [0, 0],
+      ],
+    })
+  );
+  assert.deepEqual(fc.features[0].geometry.coordinates, [
+    [0, 0],
+    [1, 1],
+    [0, 0],
+  ]);
+  assert.deepEqual(summary.fixes, { duplicate_vertices: 2 });
+});
+
+test("flattens Z values and counts each feature once", () => {
+  const { fc, summary } = repairLayer(
+    layer(
+      {
+        type: "LineString",
+        coordinates: [
+          [0, 0, 5],
+          [1, 1, 6],
+        ],
+      },
+      { type: "Point", coordinates: [2, 3, 7, 8] }
+    )
+  );
+  assert.deepEqual(fc.features[0].geometry.coordinates, [
+    [0, 0],
+    [1, 1],
+  ]);
+  assert.deepEqual(fc.features[1].geometry.coordinates, [2, 3]);
+  assert.deepEqual(summary.fixes, { flattened_3d: 2 });
+});
+
+test("converts text coordinates and removes ones that are not numbers", () => {
+  const { fc, summary } = repairLayer(
+    layer({
+      type: "MultiPoint",
+      coordinates: [
+        ["-77.4", "37.5"],
+        ["", "37.6"],
+        [-77.5, 37.7],
+      ],
+    })
+  );
+  assert.deepEqual(fc.features[0].geometry.coordinates, [
+    [-77.4, 37.5],
+    [-77.5, 37.7],
+  ]);
+  assert.deepEqual(summary.fixes, {
+    invalid_positions: 1,
+    coerced_coordinates: 1,
+  });
+});
+
+test("splits a bowtie polygon into a multipolygon", () => {
+  const { fc, summary } = repairLayer(
+    layer({
+      type: "Polygon",
+      coordinates: [
+        [
+          [0, 0],
+          [2, 2],
+          [2, 0],
+          [0, 2],
+          [0, 0],
+        ],
+      ],
+    })
+  );
+  const { type, coordinates } = fc.features[0].geometry;
+  assert.equal(type, "MultiPolygon");
+  assert.equal(coordinates.length, 2);
+  coordinates.forEach((polygon) => {
+    assert.equal(polygon.length, 1);
+    assert.deepEqual(polygon[0][0], polygon[0][polygon[0].length - 1]);
+  });
+  assert.deepEqual(summary.fixes, { repaired_self_intersections: 1 });
+  assert.equal(formatRepairs(summary), "self-intersecting polygons split: 1");
+});
+
+test("keeps polygons with holes, and self-intersections it cannot split, as is", () => {
+  const bowtieWithHole = [
+    [
+      [0, 0],
+      [8, 8],
+      [8, 0],
+      [0, 8],
+      [0, 0],
+    ],
+    [
+      [1, 3.5],
+      [2, 4],
+      [1, 4.5],
+      [1, 3.5],
+    ],
+  ];
+  // Touches itself at (5, 5) without crossing
+  const touching = [
+    [
+      [0, 0],
+      [10, 0],
+      [5, 5],
+      [10, 10],
+      [0, 10],
+      [5, 5],
+      [0, 0],
+    ],
+  ];
+  const geometries = [
+    { type: "Polygon", coordinates: [SQUARE, HOLE] },
+    { type: "Polygon", coordinates: bowtieWithHole },
+    { type: "Polygon", coordinates: touching },
+  ];
+  const { fc, summary } = repairLayer(layer(...geometries));
+  assert.deepEqual(
+    fc.features.map((feat) => feat.geometry),
+    geometries
+  );
+  assert.deepEqual(summary.fixes, { self_intersections: 2 });
+  assert.equal(
+    formatRepairs(summary),
+    "self-intersecting polygons left as is: 2"
+  );
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { selectPortfolio } = require("../portfolio");
+
+const project = (id, cost, score, extra = {}) => ({
+  project_id: id,
+  rank: id,
+  cost_mil: cost,
+  total_score: score,
+  bcr: score / cost,
+  county: "A",
+  type: "highway",
+  ...extra,
+});
+
+// Deterministic pseudo-random numbers for repeatable inputs
+function random(seed) {
+  let state = seed;
+  return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+// Best total score over every subset that satisfies the budget and limits
+function bruteForce(projects, budget, constraints) {
+  const groups = Object.entries(constraints).flatMap(([field, byGroup]) =>
+    Object.entries(byGroup).map(([group, limits]) => ({
+      field,
+      group,
+      limits,
+    }))
+  );
+  let best = null;
+  for (let mask = 0; mask < 1 << projects.length; mask++) {
+    const subset = projects.filter((_, i) => mask & (1 << i));
+    const cost = subset.reduce((sum, p) => sum + p.cost_mil, 0);
+    if (cost > budget + 1e-9) continue;
+    const feasible = groups.every(({ field, group, limits }) => {
+      const members = subset.filter((p) => String(p[field]) === group);
+      const groupCost = members.reduce((sum, p) => sum + p.cost_mil, 0);
+      return (
+        (limits.min_count == null || members.length >= limits.min_count) &&
+        (limits.max_count == null || members.length <= limits.max_count) &&
+        (limits.min_cost == null || groupCost >= limits.min_cost - 1e-9) &&
+        (limits.max_cost == null || groupCost <= limits.max_cost + 1e-9)
+      );
+    });
+    if (!feasible) continue;
+    const score = subset.reduce((sum, p) => sum + p.total_score, 0);
+    if (best === null || score > best) best = score;
+  }
+  return best;
+}
+
+test("funds projects whose cost exactly meets the budget", () => {
+  const projects = [project(1, 0.1, 5), project(2, 0.2, 5), project(3, 1, 1)];
+  const { optimal, greedy_bcr } = selectPortfolio(projects, 0.3);
+  assert.deepEqual(optimal.project_ids, [1, 2]);
+  assert.equal(optimal.feasible, true);
+  assert.deepEqual(greedy_bcr.project_ids, [1, 2]);
+});
+
+test("picks one of several equally scoring selections", () => {
+  // {1, 2} and {3} both cost the whole budget and score 10
+  const projects = [project(1, 5, 5), project(2, 5, 5), project(3, 10, 10)];
+  const { optimal } = selectPortfolio(projects, 10);
+  assert.equal(optimal.total_score, 10);
+  assert.equal(optimal.total_cost, 10);
+  assert.equal(optimal.feasible, true);
+  assert.equal(optimal.proven_optimal, true);
+});
+
+test("returns no optimal selection when group minimums cannot be met", () => {
+  const projects = [project(1, 5, 5, { county: "B" }), project(2, 5, 5)];
+  const { optimal } = selectPortfolio(projects, 4, {
+    county: { B: { min_count: 1 } },
+  });
+  assert.equal(optimal, null);
+});
+
+test("matches brute force on small inputs", () => {
+  const rnd = random(7);
+  for (let round = 0; round < 60; round++) {
+    const projects = Array.from({ length: 3 + (round % 8) }, (_, i) =>
+      project(i + 1, Math.round(1 + rnd() * 19), Math.round(rnd() * 40), {
+        county: rnd() < 0.5 ? "A" : "B",
+        type: rnd() < 0.5 ? "highway" : "transit",
+      })
+    );
+    const budget = Math.round(10 + rnd() * 40);
+    const constraints =
+      round % 3 === 0
+        ? {}
+        : {
+            county: { B: { min_count: 1 } },
+            type: { transit: { max_cost: 15 } },
+          };
+
+    const expected = bruteForce(projects, budget, constraints);
+    const { optimal } = selectPortfolio(projects, budget, constraints);
+    if (expected === null) {
+      assert.equal(optimal, null, `round ${round}`);
+      continue;
+    }
+    assert.equal(optimal.feasible, true, `round ${round}`);
+    assert.equal(optimal.total_score, expected, `round ${round}`);
+  }
+});
+
+test("rejects a negative budget and unknown group fields", () => {
+  assert.throws(() => selectPortfolio([], -1), /budget/);
+  assert.throws(
+    () => selectPortfolio([], 10, { district: { 1: { max_count: 1 } } }),
+    /group by/
+  );
+});
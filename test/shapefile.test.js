@@ -0,0 +1,262 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { isZipFile, readShapefileZip } = require("../shapefile");
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Zip archive of { name: Buffer } with stored (0) or deflated (8) entries
+function makeZip(files, method) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, data]) => {
+    const nameBytes = Buffer.from(name);
+    const body = method === 8 ? zlib.deflateRawSync(data) : data;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+    offset += 30 + nameBytes.length + body.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const doubles = (values) => {
+  const buffer = Buffer.alloc(values.length * 8);
+  values.forEach((value, i) => buffer.writeDoubleLE(value, i * 8));
+  return buffer;
+};
+const ints = (values) => {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeInt32LE(value, i * 4));
+  return buffer;
+};
+
+// Record contents for the shape types the tests use
+const shapes = {
+  null: () => ints([0]),
+  point: ([x, y]) => Buffer.concat([ints([1]), doubles([x, y])]),
+  pointZ: ([x, y, z]) => Buffer.concat([ints([11]), doubles([x, y, z, 0])]),
+  polygon: (rings) => {
+    const points = rings.flat();
+    const starts = [];
+    rings.reduce((start, ring) => (starts.push(start), start + ring.length), 0);
+    return Buffer.concat([
+      ints([5]),
+      doubles([0, 0, 0, 0]),
+      ints([rings.length, points.length, ...starts]),
+      doubles(points.flat()),
+    ]);
+  },
+};
+
+function makeShp(records, shapeType) {
+  const body = Buffer.concat(
+    records.flatMap((content, i) => {
+      const header = Buffer.alloc(8);
+      header.writeInt32BE(i + 1, 0);
+      header.writeInt32BE(content.length / 2, 4);
+      return [header, content];
+    })
+  );
+  const header = Buffer.alloc(100);
+  header.writeInt32BE(9994, 0);
+  header.writeInt32BE((100 + body.length) / 2, 24);
+  header.writeInt32LE(1000, 28);
+  header.writeInt32LE(shapeType, 32);
+  return Buffer.concat([header, body]);
+}
+
+// dBASE III table; `fields` are [name, type, length] and a row of null
+// marks a deleted record
+function makeDbf(fields, rows, encoding = "utf8") {
+  const recordLength =
+    1 + fields.reduce((sum, [, , length]) => sum + length, 0);
+  const headerLength = 32 + fields.length * 32 + 1;
+  const header = Buffer.alloc(headerLength);
+  header[0] = 3;
+  header.writeUInt32LE(rows.length, 4);
+  header.writeUInt16LE(headerLength, 8);
+  header.writeUInt16LE(recordLength, 10);
+  fields.forEach(([name, type, length], i) => {
+    header.write(name, 32 + i * 32, "latin1");
+    header[32 + i * 32 + 11] = type.charCodeAt(0);
+    header[32 + i * 32 + 16] = length;
+  });
+  header[headerLength - 1] = 0x0d;
+
+  const records = rows.map((row) => {
+    const record = Buffer.alloc(recordLength, " ");
+    record[0] = row ? 0x20 : 0x2a;
+    let offset = 1;
+    fields.forEach(([name, , length]) => {
+      const value = Buffer.from(String(row?.[name] ?? ""), encoding);
+      value.copy(record, offset, 0, Math.min(length, value.length));
+      offset += length;
+    });
+    return record;
+  });
+  return Buffer.concat([header, ...records, Buffer.from([0x1a])]);
+}
+
+function writeZip(t, files, method = 0) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "shp-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "layer.zip");
+  fs.writeFileSync(filePath, makeZip(files, method));
+  return filePath;
+}
+
+const POINT_FILES = {
+  "crashes.shp": makeShp(
+    [shapes.point([-77.4, 37.5]), shapes.null(), shapes.point([-77.5, 37.6])],
+    1
+  ),
+  "crashes.dbf": makeDbf(
+    [
+      ["ID", "N", 5],
+      ["ROUTE", "C", 10],
+    ],
+    [
+      { ID: 1, ROUTE: "I-95" },
+      { ID: 2, ROUTE: "US-1" },
+      { ID: 3, ROUTE: "" },
+    ]
+  ),
+};
+
+test("reads stored and deflated entries alike", (t) => {
+  const stored = readShapefileZip(writeZip(t, POINT_FILES, 0));
+  const deflated = readShapefileZip(writeZip(t, POINT_FILES, 8));
+  assert.deepEqual(deflated, stored);
+  assert.equal(stored.features.length, 3);
+  assert.deepEqual(stored.features[0], {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [-77.4, 37.5] },
+    properties: { ID: 1, ROUTE: "I-95" },
+  });
+  assert.equal(stored.features[2].properties.ROUTE, null);
+});
+
+test("keeps null shapes as features without geometry", (t) => {
+  const { features } = readShapefileZip(writeZip(t, POINT_FILES));
+  assert.equal(features[1].geometry, null);
+  assert.deepEqual(features[1].properties, { ID: 2, ROUTE: "US-1" });
+});
+
+test("returns the .prj text, or null without one", (t) => {
+  const prj = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984"]]';
+  const withPrj = writeZip(t, {
+    ...POINT_FILES,
+    "crashes.prj": Buffer.from(`${prj}\n`),
+  });
+  assert.equal(readShapefileZip(withPrj).prj, prj);
+  assert.equal(readShapefileZip(writeZip(t, POINT_FILES)).prj, null);
+});
+
+test("skips deleted records and drops Z values", (t) => {
+  const files = {
+    "pts.shp": makeShp(
+      [shapes.pointZ([1, 2, 30]), shapes.pointZ([3, 4, 40])],
+      11
+    ),
+    "pts.dbf": makeDbf([["NAME", "C", 8]], [null, { NAME: "kept" }]),
+  };
+  const { features } = readShapefileZip(writeZip(t, files, 8));
+  assert.equal(features.length, 1);
+  assert.deepEqual(features[0].geometry.coordinates, [3, 4]);
+  assert.deepEqual(features[0].properties, { NAME: "kept" });
+});
+
+test("turns clockwise outer rings and their holes into GeoJSON polygons", (t) => {
+  const outer = [
+    [0, 0],
+    [0, 10],
+    [10, 10],
+    [10, 0],
+    [0, 0],
+  ];
+  const hole = [
+    [2, 2],
+    [4, 2],
+    [4, 4],
+    [2, 4],
+    [2, 2],
+  ];
+  const island = [
+    [20, 0],
+    [20, 5],
+    [25, 5],
+    [20, 0],
+  ];
+  const files = {
+    "zones.shp": makeShp([shapes.polygon([outer, hole, island])], 5),
+    "zones.dbf": makeDbf([["ZONE", "N", 4]], [{ ZONE: 7 }]),
+  };
+  const { features } = readShapefileZip(writeZip(t, files));
+  assert.deepEqual(features[0].geometry, {
+    type: "MultiPolygon",
+    coordinates: [
+      [outer.slice().reverse(), hole.slice().reverse()],
+      [island.slice().reverse()],
+    ],
+  });
+});
+
+test("decodes attributes with the .cpg code page", (t) => {
+  const files = {
+    "towns.shp": makeShp([shapes.point([0, 0])], 1),
+    "towns.dbf": makeDbf([["NAME", "C", 12]], [{ NAME: "Réston" }], "latin1"),
+    "towns.cpg": Buffer.from("1252"),
+  };
+  const { features } = readShapefileZip(writeZip(t, files));
+  assert.equal(features[0].properties.NAME, "Réston");
+});
+
+test("rejects zips without a .shp and files that are not zips", (t) => {
+  const noShp = writeZip(t, { "readme.txt": Buffer.from("hello") });
+  assert.equal(isZipFile(noShp), true);
+  assert.throws(() => readShapefileZip(noShp), /no \.shp/);
+
+  const text = path.join(path.dirname(noShp), "layer.geojson");
+  fs.writeFileSync(text, "{}");
+  assert.equal(isZipFile(text), false);
+});
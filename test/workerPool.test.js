@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createWorkerPool } = require("../workerPool");
+
+const TASKS = path.join(__dirname, "fixtures", "poolTasks.js");
+
+// Pool workers are unref'd, so the timer keeps the test process running
+// while tasks are out on them
+function withPool(t, size) {
+  const pool = createWorkerPool(size);
+  const keepAlive = setInterval(() => {}, 1000);
+  t.after(() => {
+    clearInterval(keepAlive);
+    return pool.close();
+  });
+  return pool;
+}
+
+test("cancel one task, the queued task still completes", async (t) => {
+  const pool = withPool(t, 1);
+  const controller = new AbortController();
+  const slow = pool.run(TASKS, "spin", [60000], controller.signal);
+  const queued = pool.run(TASKS, "echo", ["next"]);
+  setTimeout(() => controller.abort(), 100);
+  await assert.rejects(slow, /Analysis cancelled/);
+  assert.equal(await queued, "next");
+});
+
+test("drops a queued task when it is cancelled", async (t) => {
+  const pool = withPool(t, 1);
+  const controller = new AbortController();
+  const first = pool.run(TASKS, "spin", [200]);
+  const queued = pool.run(TASKS, "echo", ["never"], controller.signal);
+  controller.abort();
+  await assert.rejects(queued, /Analysis cancelled/);
+  assert.equal(await first, 200);
+});
+
+test("replaces a worker that exits and runs the next task", async (t) => {
+  const pool = withPool(t, 1);
+  const crashed = pool.run(TASKS, "exit", [3]);
+  const queued = pool.run(TASKS, "echo", ["next"]);
+  await assert.rejects(crashed, /exited with code 3/);
+  assert.equal(await queued, "next");
+});
+
+test("passes shared data to tasks on a replaced worker", async (t) => {
+  const pool = withPool(t, 1);
+  const id = pool.share({ value: "shared" });
+  const controller = new AbortController();
+  const slow = pool.run(TASKS, "spin", [60000], controller.signal);
+  const first = pool.run(TASKS, "echo", [], null, { id, keys: ["value"] });
+  setTimeout(() => controller.abort(), 100);
+  await assert.rejects(slow, /Analysis cancelled/);
+  assert.equal(await first, "shared");
+  assert.equal(
+    await pool.run(TASKS, "echo", [], null, { id, keys: ["value"] }),
+    "shared"
+  );
+  pool.release(id);
+});
@@ -0,0 +1,202 @@
+const os = require("os");
+const { Worker, isMainThread, parentPort } = require("worker_threads");
+
+// Resolve a criterion's run function from its module path and export name
+function getRunFunction(modulePath, fnName) {
+  const fn = require(modulePath)[fnName];
+  if (typeof fn !== "function") {
+    throw new Error(`Unknown analysis function: ${fnName}`);
+  }
+  return fn;
+}
+
+// Worker side: each message names a module, an exported function and its
+// args. Shared data arrives with the first task that uses it and is kept
+// until released, so every task on this worker gets the same objects (and
+// the caches keyed by them).
+if (!isMainThread) {
+  const sharedData = new Map();
+  parentPort.on(
+    "message",
+    ({ id, modulePath, fnName, args, shared, release }) => {
+      if (release) {
+        sharedData.delete(release);
+        return;
+      }
+      try {
+        if (shared?.data) sharedData.set(shared.id, shared.data);
+        const data = shared && sharedData.get(shared.id);
+        if (shared && !data)
+          throw new Error(`Shared data ${shared.id} is gone`);
+        const sharedArgs = shared ? shared.keys.map((key) => data[key]) : [];
+        const result = getRunFunction(modulePath, fnName)(
+          ...sharedArgs,
+          ...args
+        );
+        parentPort.postMessage({ id, result });
+      } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+      }
+    }
+  );
+}
+
+function defaultPoolSize() {
+  const fromEnv = parseInt(process.env.ANALYSIS_WORKERS, 10);
+  if (Number.isInteger(fromEnv) && fromEnv >= 0) return fromEnv;
+  return Math.max(1, os.cpus().length - 1);
+}
+
+// Fixed-size pool of analysis workers. Workers are started on first use and
+// replaced if one exits. A size of 0 runs analyses inline on the main thread.
+// Data used by several tasks is registered with share() and copied to each
+// worker once rather than once per task.
+function createWorkerPool(size = defaultPoolSize()) {
+  const slots = [];
+  const queue = [];
+  const sharedData = new Map();
+  let nextId = 1;
+  let nextSharedId = 1;
+  let closed = false;
+
+  const dispatch = () => {
+    slots.forEach((slot) => {
+      if (slot.task || queue.length === 0) return;
+      slot.task = queue.shift();
+      const { id, modulePath, fnName, args, shared } = slot.task;
+      const message = { id, modulePath, fnName, args };
+      if (shared) {
+        message.shared = { id: shared.id, keys: shared.keys };
+        if (!slot.shared.has(shared.id)) {
+          message.shared.data = sharedData.get(shared.id);
+          slot.shared.add(shared.id);
+        }
+      }
+      slot.worker.postMessage(message);
+    });
+  };
+
+  const finish = (slot, error, result) => {
+    const task = slot.task;
+    slot.task = null;
+    if (task) {
+      if (error) task.reject(error);
+      else task.resolve(result);
+    }
+    dispatch();
+  };
+
+  // A worker that errors or is terminated exits next. Its task stays on the
+  // slot until then, so nothing is dispatched to it, and the replacement is
+  // in place before the task settles and the queue moves on.
+  const spawn = (slot) => {
+    slot.worker = new Worker(__filename);
+    slot.shared = new Set();
+    slot.error = null;
+    slot.worker.unref();
+    slot.worker.on("message", ({ error, result }) => {
+      finish(slot, error ? new Error(error) : null, result);
+    });
+    slot.worker.on("error", (error) => {
+      console.error("Analysis worker error:", error);
+      slot.error = error;
+    });
+    slot.worker.on("exit", (code) => {
+      if (closed) return;
+      let error = slot.error;
+      if (slot.task?.cancelled) {
+        error = new Error("Analysis cancelled");
+      } else if (!error) {
+        console.error(`Analysis worker exited with code ${code}, restarting`);
+        error = new Error(`Analysis worker exited with code ${code}`);
+      }
+      spawn(slot);
+      finish(slot, error);
+    });
+  };
+
+  const start = () => {
+    while (slots.length < size) {
+      const slot = { worker: null, task: null };
+      spawn(slot);
+      slots.push(slot);
+    }
+  };
+
+  // Aborting drops a queued task, or terminates the worker running it
+  const cancel = (task) => {
+    const queued = queue.indexOf(task);
+    if (queued >= 0) {
+      queue.splice(queued, 1);
+      task.reject(new Error("Analysis cancelled"));
+      return;
+    }
+    const slot = slots.find((s) => s.task === task);
+    if (slot) {
+      task.cancelled = true;
+      slot.worker.terminate();
+    }
+  };
+
+  return {
+    size,
+
+    // Register data for tasks to share; returns its id for run()
+    share(data) {
+      const id = nextSharedId++;
+      sharedData.set(id, data);
+      return id;
+    },
+
+    // Drop shared data here and on every worker that holds a copy
+    release(id) {
+      sharedData.delete(id);
+      slots.forEach((slot) => {
+        if (!slot.shared.delete(id)) return;
+        slot.worker.postMessage({ release: id });
+      });
+    },
+
+    // Run modulePath's fnName. With `shared` ({ id, keys } from share()),
+    // the shared data's values at `keys` are passed before `args`.
+    run(modulePath, fnName, args, signal, shared = null) {
+      if (signal?.aborted) {
+        return Promise.reject(new Error("Analysis cancelled"));
+      }
+      if (shared && !sharedData.has(shared.id)) {
+        return Promise.reject(new Error(`Shared data ${shared.id} is gone`));
+      }
+      if (size === 0) {
+        const data = shared && sharedData.get(shared.id);
+        const sharedArgs = shared ? shared.keys.map((key) => data[key]) : [];
+        return new Promise((resolve) =>
+          resolve(getRunFunction(modulePath, fnName)(...sharedArgs, ...args))
+        );
+      }
+      start();
+      return new Promise((resolve, reject) => {
+        const task = {
+          id: nextId++,
+          modulePath,
+          fnName,
+          args,
+          shared,
+          resolve,
+          reject,
+        };
+        signal?.addEventListener("abort", () => cancel(task), { once: true });
+        queue.push(task);
+        dispatch();
+      });
+    },
+
+    async close() {
+      closed = true;
+      sharedData.clear();
+      queue.splice(0).forEach((task) => task.reject(new Error("Pool closed")));
+      await Promise.all(slots.map((slot) => slot.worker.terminate()));
+    },
+  };
+}
+
+module.exports = { createWorkerPool };